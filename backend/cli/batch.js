@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import fetch from 'node-fetch';
+import { loadPromptFile } from './promptFile.js';
+
+const USAGE = `Usage: npm run batch -- <prompts.yaml|json|csv> [options]
+
+Generates every entry of a prompt file with the backend's /generate and
+/generate-diagram, writing <slug>.jpg, <slug>.mmd and <slug>.svg to the
+output directory. Entries that already succeeded are skipped on a re-run.
+
+Options:
+  -o, --out <dir>          Output directory (default: batch-output)
+  -c, --concurrency <n>    Entries generated at once (default: 2)
+  -t, --type <type>        Default entry type: image, diagram or both (default: both)
+      --api <url>          Backend URL (default: $TTV_API_URL or http://localhost:3000)
+      --api-key <key>      API key (default: $TTV_API_KEY)
+      --retries <n>        Retries per request on 429/5xx or network errors (default: 2)
+      --force              Regenerate entries that already succeeded
+      --no-cache           Skip the backend's result cache
+  -h, --help               Show this help`;
+
+// Per-entry outcome, kept up to date during a run so it can be resumed
+const STATE_FILE = 'batch-state.json';
+const REPORT_FILE = 'batch-report.json';
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class RequestError extends Error {
+  constructor(message, { status, details } = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const retryable = (error) => !error.status || error.status === 429 || error.status >= 500;
+
+/**
+ * POST JSON to the backend, retrying 429/5xx and network errors with
+ * exponential backoff. Resolves to the parsed JSON, or the raw body when
+ * `raw` is set.
+ */
+const createClient = ({ api, apiKey, retries, noCache }) => async (route, body, { raw = false } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await fetch(`${api}${route}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+          ...(noCache && { 'Cache-Control': 'no-cache' }),
+        },
+        body: JSON.stringify(body),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new RequestError(`${route}: ${data.error || response.statusText}${data.code ? ` (${data.code})` : ''}`, { status: response.status, details: data.details });
+      }
+      return raw ? Buffer.from(await response.arrayBuffer()) : response.json();
+    } catch (error) {
+      if (attempt >= retries || !retryable(error)) throw error;
+      await sleep(1000 * 2 ** attempt);
+    }
+  }
+};
+
+const dataUrlToFile = (dataUrl) => {
+  const [, mimeType, base64] = /^data:([^;]+);base64,(.*)$/s.exec(dataUrl) || [];
+  if (!base64) throw new Error('Unexpected image format in the response');
+  return { mimeType, buffer: Buffer.from(base64, 'base64') };
+};
+
+/**
+ * Generate one entry and write its files. Resolves to `{ files, details,
+ * warnings }`; throws when a generation fails.
+ */
+const runEntry = async (entry, { post, out }) => {
+  // Everything else in the entry (style, parameters, count, intensity, ...)
+  // is passed through to /generate as is
+  const { slug, type, diagramType, ...request } = entry;
+  const { prompt, provider, model } = request;
+  const files = [];
+  const warnings = [];
+  const details = {};
+  const write = async (name, content) => {
+    await fs.writeFile(path.join(out, name), content);
+    files.push(name);
+  };
+
+  if (type !== 'diagram') {
+    const result = await post('/generate', request);
+    details.enhancedPrompt = result.enhancedPrompt;
+    details.seeds = result.images.map((image) => image.parameters?.seed);
+    for (const [index, { image }] of result.images.entries()) {
+      const { mimeType, buffer } = dataUrlToFile(image);
+      const ext = EXTENSIONS[mimeType] || 'bin';
+      // Variations are <slug>-v2, ...; <slug>.svg is the diagram's, so an SVG
+      // image is <slug>.image.svg
+      const name = `${slug}${index ? `-v${index + 1}` : ''}${ext === 'svg' ? '.image' : ''}.${ext}`;
+      await write(name, buffer);
+    }
+  }
+
+  if (type !== 'image') {
+    const result = await post('/generate-diagram', { prompt, diagramType, provider, model });
+    details.repaired = result.repaired;
+    await write(`${slug}.mmd`, result.mermaidCode);
+    try {
+      await write(`${slug}.svg`, await post('/render-diagram', { mermaidCode: result.mermaidCode, format: 'svg' }, { raw: true }));
+    } catch (error) {
+      // The .mmd source is the deliverable; the SVG can be rendered later
+      warnings.push(`SVG not rendered: ${error.message}`);
+    }
+  }
+
+  return { files, details, warnings };
+};
+
+// Run `task` over `items` with at most `limit` in flight
+const runPool = async (items, limit, task) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await task(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+};
+
+const filesExist = async (out, files = []) => {
+  const found = await Promise.all(files.map((name) => fs.access(path.join(out, name)).then(() => true, () => false)));
+  return found.every(Boolean);
+};
+
+const readJson = async (file, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o', default: 'batch-output' },
+      concurrency: { type: 'string', short: 'c', default: '2' },
+      type: { type: 'string', short: 't', default: 'both' },
+      api: { type: 'string', default: process.env.TTV_API_URL || 'http://localhost:3000' },
+      'api-key': { type: 'string', default: process.env.TTV_API_KEY },
+      retries: { type: 'string', default: '2' },
+      force: { type: 'boolean', default: false },
+      'no-cache': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  const concurrency = Number(values.concurrency);
+  const retries = Number(values.retries);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error('--concurrency must be a positive integer');
+  if (!Number.isInteger(retries) || retries < 0) throw new Error('--retries must be a non-negative integer');
+
+  const entries = await loadPromptFile(positionals[0], { defaultType: values.type });
+  const out = path.resolve(values.out);
+  await fs.mkdir(out, { recursive: true });
+
+  const stateFile = path.join(out, STATE_FILE);
+  const state = await readJson(stateFile, {});
+  // Writes are chained so concurrent entries never interleave them
+  let saving = Promise.resolve();
+  const saveState = () => {
+    saving = saving.then(() => fs.writeFile(stateFile, JSON.stringify(state, null, 2)));
+    return saving;
+  };
+
+  const post = createClient({ api: values.api.replace(/\/$/, ''), apiKey: values['api-key'], retries, noCache: values['no-cache'] });
+  const startedAt = new Date().toISOString();
+  // An entry is done when it succeeded before and its files are still there
+  const skipped = [];
+  for (const entry of entries) {
+    const previous = state[entry.slug];
+    if (!values.force && previous?.status === 'succeeded' && previous.type === entry.type && await filesExist(out, previous.files)) skipped.push(entry);
+  }
+  const pending = entries.filter((entry) => !skipped.includes(entry));
+  console.log(`${entries.length} entries, ${skipped.length} already done, generating ${pending.length} with concurrency ${concurrency}`);
+
+  let finished = 0;
+  await runPool(pending, concurrency, async (entry) => {
+    const started = Date.now();
+    try {
+      const result = await runEntry(entry, { post, out });
+      state[entry.slug] = { status: 'succeeded', prompt: entry.prompt, type: entry.type, ...result, durationMs: Date.now() - started, at: new Date().toISOString() };
+      console.log(`[${++finished}/${pending.length}] ok    ${entry.slug} (${result.files.join(', ')})`);
+      result.warnings.forEach((warning) => console.warn(`        warn  ${entry.slug}: ${warning}`));
+    } catch (error) {
+      state[entry.slug] = {
+        status: 'failed', prompt: entry.prompt, type: entry.type, error: error.message,
+        ...(error.details && { details: error.details }), at: new Date().toISOString(),
+      };
+      console.error(`[${++finished}/${pending.length}] FAIL  ${entry.slug}: ${error.message}`);
+    }
+    await saveState();
+  });
+
+  const items = entries.map((entry) => ({ slug: entry.slug, ...state[entry.slug], skipped: skipped.includes(entry) }));
+  const failed = items.filter((item) => item.status === 'failed');
+  const report = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    total: entries.length,
+    succeeded: items.filter((item) => item.status === 'succeeded').length,
+    failed: failed.length,
+    skipped: skipped.length,
+    items,
+  };
+  await fs.writeFile(path.join(out, REPORT_FILE), JSON.stringify(report, null, 2));
+
+  console.log(`\nDone: ${report.succeeded} succeeded (${report.skipped} from earlier runs), ${report.failed} failed. Report: ${path.join(out, REPORT_FILE)}`);
+  failed.forEach((item) => console.log(`  ${item.slug}: ${item.error}`));
+  if (failed.length) {
+    console.log('Re-run the same command to retry the failed entries.');
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error('Batch Error:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,104 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+export const ENTRY_TYPES = ['image', 'diagram', 'both'];
+
+/**
+ * Parse CSV text into rows of strings. Handles quoted fields with commas,
+ * doubled quotes and line breaks.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+// CSV columns that become image parameters
+const PARAMETER_COLUMNS = ['seed', 'aspectRatio', 'width', 'height', 'steps', 'guidance', 'negativePrompt'];
+
+// A CSV row as an entry: a header row names the columns
+const csvEntry = (header, cells) => {
+  const record = Object.fromEntries(header.map((name, i) => [name.trim(), cells[i]?.trim() ?? '']));
+  const parameters = Object.fromEntries(PARAMETER_COLUMNS.filter((key) => record[key]).map((key) => [key, record[key]]));
+  return {
+    ...Object.fromEntries(Object.entries(record).filter(([key, value]) => value && !PARAMETER_COLUMNS.includes(key))),
+    ...(record.count && { count: Number(record.count) }),
+    ...(Object.keys(parameters).length && { parameters }),
+  };
+};
+
+/**
+ * "A castle in the clouds!" -> "a-castle-in-the-clouds"; accents are dropped
+ */
+export const slugify = (text = '') => text.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'entry';
+
+/**
+ * Read a prompt list from a .json, .yaml/.yml or .csv file. JSON and YAML
+ * hold a list of entries (or `{ entries: [...] }`); strings are shorthand
+ * for `{ prompt }`. CSV needs a header row with at least a `prompt`
+ * column. Every entry gets a unique `slug` and a `type` (`defaultType`
+ * unless it sets one). Throws on invalid entries, naming them.
+ */
+export const loadPromptFile = async (file, { defaultType = 'both' } = {}) => {
+  const text = await fs.readFile(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+
+  let entries;
+  if (ext === '.csv') {
+    const [header = [], ...rows] = parseCsv(text);
+    if (!header.map((name) => name.trim()).includes('prompt')) throw new Error(`${file}: the CSV header needs a "prompt" column`);
+    entries = rows.map((cells) => csvEntry(header, cells));
+  } else if (ext === '.json' || ext === '.yaml' || ext === '.yml') {
+    const data = ext === '.json' ? JSON.parse(text) : yaml.load(text);
+    entries = Array.isArray(data) ? data : data?.entries;
+    if (!Array.isArray(entries)) throw new Error(`${file}: expected a list of entries or { entries: [...] }`);
+  } else {
+    throw new Error(`${file}: unsupported file type "${ext}" (use .json, .yaml, .yml or .csv)`);
+  }
+
+  const slugs = new Set();
+  return entries.map((raw, index) => {
+    const entry = typeof raw === 'string' ? { prompt: raw } : { ...raw };
+    const label = `${file}: entry ${index + 1}`;
+    if (!entry.prompt || typeof entry.prompt !== 'string') throw new Error(`${label} has no prompt`);
+    entry.type = entry.type || defaultType;
+    if (!ENTRY_TYPES.includes(entry.type)) throw new Error(`${label} has unknown type "${entry.type}"`);
+
+    // Repeated slugs get -2, -3, ... so no entry overwrites another's files
+    const base = slugify(entry.slug || entry.prompt);
+    let slug = base;
+    for (let n = 2; slugs.has(slug); n++) slug = `${base}-${n}`;
+    slugs.add(slug);
+    return { ...entry, slug };
+  });
+};
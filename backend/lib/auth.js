@@ -0,0 +1,73 @@
+import { createRemoteJWKSet, jwtVerify, decodeJwt } from 'jose';
+
+// Google's signing keys for Firebase Auth ID tokens
+const FIREBASE_JWKS_URL = 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+
+/**
+ * Parse `API_KEYS` ("alice:key1,bob:key2") into a Map of key -> name
+ */
+export const parseApiKeys = (value = '') => new Map(
+  value.split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return separator > 0 ? [entry.slice(separator + 1), entry.slice(0, separator)] : [entry, entry];
+    })
+);
+
+const unauthorized = (res, details) => res.status(401).json({ error: 'Authentication required', details });
+
+/**
+ * Express middleware that identifies the caller and sets `req.user` to
+ * `{ id, name, method }`, plus `idToken` for Firebase users. Accepts
+ * `Authorization: Bearer <token>` where the token is one of `apiKeys` or a
+ * Firebase Auth ID token for `firebaseProjectId` (also
+ * `X-API-Key: <key>`). With `emulator` set, ID
+ * tokens from the Auth emulator, which are unsigned, are accepted.
+ * When neither API keys nor a Firebase project are configured, auth is
+ * off and callers are identified by IP address.
+ */
+export const createAuthenticator = ({ apiKeys = new Map(), firebaseProjectId, emulator = false } = {}) => {
+  const enabled = apiKeys.size > 0 || Boolean(firebaseProjectId);
+  const jwks = firebaseProjectId && !emulator ? createRemoteJWKSet(new URL(FIREBASE_JWKS_URL)) : null;
+
+  const verifyIdToken = async (token) => {
+    const issuer = `https://securetoken.google.com/${firebaseProjectId}`;
+    if (jwks) {
+      const { payload } = await jwtVerify(token, jwks, { issuer, audience: firebaseProjectId });
+      return payload;
+    }
+    const payload = decodeJwt(token);
+    if (payload.iss !== issuer || payload.aud !== firebaseProjectId) throw new Error('Token is for another project');
+    return payload;
+  };
+
+  const authenticate = async (req, res, next) => {
+    if (!enabled) {
+      req.user = { id: `ip:${req.ip}`, name: req.ip, method: 'none' };
+      return next();
+    }
+
+    const header = req.get('authorization') || '';
+    const token = req.get('x-api-key') || (header.startsWith('Bearer ') ? header.slice(7).trim() : '');
+    if (!token) return unauthorized(res, 'Send an API key or Firebase ID token as "Authorization: Bearer <token>"');
+
+    if (apiKeys.has(token)) {
+      const name = apiKeys.get(token);
+      req.user = { id: `key:${name}`, name, method: 'api-key' };
+      return next();
+    }
+
+    if (!firebaseProjectId) return unauthorized(res, 'Invalid API key');
+    try {
+      const payload = await verifyIdToken(token);
+      req.user = { id: payload.sub, name: payload.name || payload.email || 'Anonymous Archivist', method: 'firebase', idToken: token };
+      next();
+    } catch (error) {
+      unauthorized(res, `Invalid API key or ID token: ${error.message}`);
+    }
+  };
+
+  return { enabled, authenticate };
+};
@@ -0,0 +1,29 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Blob store on the local filesystem, for development without Firebase
+ * Storage. Keys are relative paths such as `visuals/<id>.jpg`.
+ */
+export const createLocalBlobStore = ({ dir }) => {
+  const root = path.resolve(dir);
+
+  // Refuse keys that would escape the blob directory
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!key || !file.startsWith(root + path.sep)) throw new Error(`Invalid blob key "${key}"`);
+    return file;
+  };
+
+  return {
+    root,
+    put: async (key, buffer) => {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    delete: async (key) => {
+      await fs.rm(resolve(key), { force: true });
+    },
+  };
+};
@@ -0,0 +1,160 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// JSON with object keys sorted, so equal inputs always hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Prompt text as far as the cache is concerned: trimmed, with runs of
+ * whitespace collapsed
+ */
+export const normalizePrompt = (text = '') => text.trim().replace(/\s+/g, ' ');
+
+/**
+ * Content address of a result: a SHA-256 over the kind of call and
+ * everything that influences its output
+ */
+export const cacheKey = (kind, inputs) => crypto.createHash('sha256').update(stableStringify({ kind, ...inputs })).digest('hex');
+
+/**
+ * True when the caller asked to skip the cache, with `Cache-Control:
+ * no-cache` (or `no-store`) or `noCache: true` in the body
+ */
+export const cacheBypass = (req) => /no-cache|no-store/i.test(req.get('cache-control') || '') || req.body?.noCache === true;
+
+/**
+ * Result cache for provider calls: an in-memory LRU of at most `maxEntries`
+ * entries and `maxBytes` of serialized values, backed by one JSON file per
+ * entry under `dir` when set, so results survive a restart. Images are
+ * large, so the byte limit is usually the one that evicts. Entries expire
+ * after `ttlMs`. `enabled: false` turns it into a pass-through.
+ */
+export const createResultCache = ({
+  maxEntries = 500, maxBytes = 64 * 1024 * 1024, ttlMs = 24 * 60 * 60 * 1000, dir, enabled = true,
+} = {}) => {
+  const memory = new Map();
+  const root = dir && path.resolve(dir);
+  const stats = { hits: 0, misses: 0, bypasses: 0 };
+  let memoryBytes = 0;
+
+  const fileFor = (key) => path.join(root, key.slice(0, 2), `${key}.json`);
+
+  const forget = (key) => {
+    const entry = memory.get(key);
+    if (!entry) return;
+    memoryBytes -= entry.size;
+    memory.delete(key);
+  };
+
+  // `size` is the entry's serialized length in bytes
+  const remember = (key, { value, expiresAt }, size) => {
+    forget(key);
+    // An entry larger than the whole budget is only kept on disk
+    if (size > maxBytes) return;
+    memory.set(key, { value, expiresAt, size });
+    memoryBytes += size;
+    // Map keeps insertion order, so the first key is the least recently used
+    while (memory.size > maxEntries || memoryBytes > maxBytes) forget(memory.keys().next().value);
+  };
+
+  const read = async (key) => {
+    const cached = memory.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      remember(key, cached, cached.size);
+      return cached;
+    }
+    forget(key);
+    if (!root) return null;
+
+    try {
+      const text = await fs.readFile(fileFor(key), 'utf8');
+      const entry = JSON.parse(text);
+      if (entry.expiresAt > Date.now()) {
+        remember(key, entry, Buffer.byteLength(text));
+        return entry;
+      }
+      await fs.rm(fileFor(key), { force: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Cache Read Error:', error);
+    }
+    return null;
+  };
+
+  const write = async (key, value) => {
+    const entry = { value, expiresAt: Date.now() + ttlMs };
+    const text = JSON.stringify(entry);
+    remember(key, entry, Buffer.byteLength(text));
+    if (!root) return;
+    try {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      // Write then rename, so a crash never leaves a half-written entry
+      await fs.writeFile(`${file}.tmp`, text);
+      await fs.rename(`${file}.tmp`, file);
+    } catch (error) {
+      console.error('Cache Write Error:', error);
+    }
+  };
+
+  /**
+   * Resolve to the cached value for `key`, or run `fn` and cache what it
+   * returns when `shouldCache(value)` allows. With `bypass` the cache is
+   * neither read nor written. Resolves to `{ value, cache }` where `cache`
+   * is 'hit', 'miss' or 'bypass'.
+   */
+  const wrap = async (key, fn, { bypass = false, shouldCache = () => true } = {}) => {
+    if (!enabled || bypass) {
+      stats.bypasses++;
+      return { value: await fn(), cache: 'bypass' };
+    }
+    const cached = await read(key);
+    if (cached) {
+      stats.hits++;
+      return { value: cached.value, cache: 'hit' };
+    }
+    stats.misses++;
+    const value = await fn();
+    if (shouldCache(value)) await write(key, value);
+    return { value, cache: 'miss' };
+  };
+
+  /**
+   * Delete expired entries from disk. Memory entries expire on read.
+   */
+  const prune = async () => {
+    if (!root) return 0;
+    let removed = 0;
+    const shards = await fs.readdir(root).catch(() => []);
+    for (const shard of shards) {
+      const files = await fs.readdir(path.join(root, shard)).catch(() => []);
+      for (const name of files) {
+        const file = path.join(root, shard, name);
+        try {
+          const { expiresAt } = JSON.parse(await fs.readFile(file, 'utf8'));
+          if (expiresAt > Date.now()) continue;
+        } catch {
+          // Unreadable entries are removed too
+        }
+        await fs.rm(file, { force: true });
+        removed++;
+      }
+    }
+    return removed;
+  };
+
+  return {
+    enabled,
+    wrap,
+    prune,
+    stats: () => ({ enabled, ...stats, memoryEntries: memory.size, maxEntries, memoryBytes, maxBytes, ttlMs, persistent: Boolean(root) }),
+  };
+};
@@ -0,0 +1,68 @@
+import { listProviders, providerDefaults } from '../providers/index.js';
+
+// Numeric settings and their smallest allowed value; "unlimited" is also
+// accepted where marked
+const NUMERIC_SETTINGS = {
+  PORT: { min: 1 },
+  RATE_LIMIT_MAX: { min: 1 },
+  RATE_LIMIT_WINDOW_MS: { min: 1 },
+  QUOTA_LLM_CALLS: { min: 0, unlimited: true },
+  QUOTA_IMAGES: { min: 0, unlimited: true },
+  QUOTA_WINDOW_MS: { min: 1 },
+  CACHE_MAX_ENTRIES: { min: 1 },
+  CACHE_MAX_BYTES: { min: 1 },
+  CACHE_TTL_MS: { min: 1 },
+  MERMAID_REPAIR_ATTEMPTS: { min: 0 },
+  JOB_CONCURRENCY: { min: 1 },
+  JOB_MAX_RETRIES: { min: 0 },
+  JOB_RETRY_BASE_MS: { min: 0 },
+};
+
+const ROLE_VERB = { text: 'generate text', image: 'generate images' };
+
+// Problems with the provider that `variable` names for `role` ('text' | 'image')
+const providerProblems = (variable, name, role) => {
+  const providers = listProviders();
+  const provider = providers.find((p) => p.name === name);
+  if (!provider) {
+    return [`${variable} is "${name}", which is not a provider; use one of ${providers.map((p) => p.name).join(', ')}`];
+  }
+  if (!provider[role]) {
+    return [`${variable} is "${name}", which cannot ${ROLE_VERB[role]}; use one of ${providers.filter((p) => p[role]).map((p) => p.name).join(', ')}`];
+  }
+  if (!provider.configured) {
+    return [`${variable} is "${name}" but ${provider.requires} is not set; add it to backend/.env, or set ${variable}=mock to run offline`];
+  }
+  return [];
+};
+
+/**
+ * Check the backend's environment before the server starts. Returns a list
+ * of problems, each a sentence naming the variable to fix; empty when the
+ * configuration is usable.
+ */
+export const validateConfig = () => {
+  const { env } = process;
+  const problems = [];
+  const defaults = providerDefaults();
+
+  problems.push(...providerProblems('TEXT_PROVIDER', defaults.text, 'text'));
+  problems.push(...providerProblems('IMAGE_PROVIDER', defaults.image, 'image'));
+  if (env.MODERATION_CLASSIFIER === 'on' && env.MODERATION_PROVIDER) {
+    problems.push(...providerProblems('MODERATION_PROVIDER', env.MODERATION_PROVIDER, 'text'));
+  }
+
+  for (const [variable, { min, unlimited }] of Object.entries(NUMERIC_SETTINGS)) {
+    const value = env[variable];
+    if (value === undefined || value === '' || (unlimited && value === 'unlimited')) continue;
+    if (!/^\d+$/.test(value.trim()) || Number(value) < min) {
+      problems.push(`${variable} is "${value}"; expected a whole number of at least ${min}${unlimited ? ' or "unlimited"' : ''}`);
+    }
+  }
+
+  for (const origin of (env.CORS_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean)) {
+    if (!URL.canParse(origin)) problems.push(`CORS_ORIGINS contains "${origin}", which is not a URL`);
+  }
+
+  return problems;
+};
@@ -0,0 +1,58 @@
+/**
+ * Mermaid diagram types supported by /generate-diagram.
+ * `format` is the instruction given to the LLM, `example` a minimal valid sample.
+ */
+export const DIAGRAM_TYPES = {
+  flowchart: {
+    format: 'flowchart (graph TD)',
+    example: 'graph TD\nA[Start] --> B[Next]',
+  },
+  sequence: {
+    format: 'sequence diagram (sequenceDiagram)',
+    example: 'sequenceDiagram\nClient->>API: Request\nAPI-->>Client: Response',
+  },
+  class: {
+    format: 'class diagram (classDiagram)',
+    example: 'classDiagram\nclass User {\n  +String name\n  +login()\n}\nUser --> Session',
+  },
+  state: {
+    format: 'state diagram (stateDiagram-v2)',
+    example: 'stateDiagram-v2\n[*] --> Idle\nIdle --> Running: start\nRunning --> [*]',
+  },
+  er: {
+    format: 'entity relationship diagram (erDiagram)',
+    example: 'erDiagram\nCUSTOMER ||--o{ ORDER : places\nORDER {\n  string id\n  date createdAt\n}',
+  },
+  gantt: {
+    format: 'gantt chart (gantt)',
+    example: 'gantt\ntitle Plan\ndateFormat YYYY-MM-DD\nsection Build\nDesign :a1, 2024-01-01, 5d\nImplement :after a1, 10d',
+  },
+  mindmap: {
+    format: 'mindmap (mindmap), using indentation for hierarchy',
+    example: 'mindmap\n  root((Topic))\n    Idea A\n    Idea B',
+  },
+  timeline: {
+    format: 'timeline (timeline)',
+    example: 'timeline\ntitle History\n2020 : Launch\n2022 : Expansion',
+  },
+};
+
+export const DEFAULT_DIAGRAM_TYPE = 'flowchart';
+
+/**
+ * Whether `type` is a known diagram type or 'auto'
+ */
+export const isDiagramType = (type) => type === 'auto' || Object.hasOwn(DIAGRAM_TYPES, type);
+
+/**
+ * Build the format section of the diagram prompt for a type.
+ * 'auto' lets the model pick whichever type fits the description best.
+ */
+export const describeFormat = (type) => {
+  if (type === 'auto') {
+    const options = Object.entries(DIAGRAM_TYPES).map(([id, t]) => `- ${id}: ${t.format}`).join('\n');
+    return `Format: choose the Mermaid diagram type that best fits the description from:\n${options}`;
+  }
+  const { format, example } = DIAGRAM_TYPES[type];
+  return `Format: ${format}.\nExample:\n${example}`;
+};
@@ -0,0 +1,55 @@
+import { delimitUserInput, UNTRUSTED_INPUT_NOTICE } from './moderation.js';
+
+/**
+ * How far the text provider may rewrite the user's prompt
+ */
+export const ENHANCEMENT_INTENSITIES = {
+  light: 'Keep the user\'s wording and subject; only add the essential visual details that are missing. Stay under 40 words.',
+  medium: 'Expand the prompt with concrete visual detail while keeping its intent. Stay under 80 words.',
+  strong: 'Make it richly detailed and high resolution.',
+};
+
+/**
+ * The kind of image the enhanced prompt should describe
+ */
+export const ENHANCEMENT_TEMPLATES = {
+  cinematic: 'Make it cinematic and ultra-realistic.',
+  photographic: 'Describe it as a photograph: camera, lens, lighting and setting.',
+  illustration: 'Describe it as an illustration: medium, line work, palette and composition.',
+  technical: 'Describe it as a clean visual for slides and documentation: plain background, clear shapes, no clutter.',
+};
+
+export const DEFAULT_INTENSITY = 'strong';
+export const DEFAULT_TEMPLATE = 'cinematic';
+
+/**
+ * Check the enhancement options of a request; returns an error message or null
+ */
+export const enhancementOptionsError = ({ intensity, template } = {}) => {
+  if (intensity !== undefined && !ENHANCEMENT_INTENSITIES[intensity]) {
+    return `Unknown intensity "${intensity}"; use one of ${Object.keys(ENHANCEMENT_INTENSITIES).join(', ')}`;
+  }
+  if (template !== undefined && !ENHANCEMENT_TEMPLATES[template]) {
+    return `Unknown template "${template}"; use one of ${Object.keys(ENHANCEMENT_TEMPLATES).join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * System prompt asking the text provider to enhance `prompt`. The prompt,
+ * the style name and the preset's reference example are user text, so they
+ * are delimited.
+ */
+export const buildEnhancementPrompt = (prompt, styleName, { intensity = DEFAULT_INTENSITY, template = DEFAULT_TEMPLATE, referenceExample } = {}) => `
+      Improve this text prompt for AI image generation.
+      ${ENHANCEMENT_INTENSITIES[intensity]}
+      ${ENHANCEMENT_TEMPLATES[template]}
+      Incorporate this style:
+      ${delimitUserInput(styleName)}
+      ${referenceExample ? `Example of a prompt in this style:\n${delimitUserInput(referenceExample)}` : ''}
+      Return ONLY the improved prompt text. Do not include any explanations or extra words.
+      ${UNTRUSTED_INPUT_NOTICE}
+
+      User Prompt:
+      ${delimitUserInput(prompt)}
+    `;
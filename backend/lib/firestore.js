@@ -0,0 +1,43 @@
+import fetch from 'node-fetch';
+
+// Firestore REST values -> plain JS
+const decodeValue = (value) => {
+  if ('stringValue' in value) return value.stringValue;
+  if ('integerValue' in value) return Number(value.integerValue);
+  if ('doubleValue' in value) return value.doubleValue;
+  if ('booleanValue' in value) return value.booleanValue;
+  if ('timestampValue' in value) return value.timestampValue;
+  if ('mapValue' in value) return decodeFields(value.mapValue.fields || {});
+  if ('arrayValue' in value) return (value.arrayValue.values || []).map(decodeValue);
+  return null;
+};
+
+export const decodeFields = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, decodeValue(value)]));
+
+// Document ids as the app creates them; anything else never reaches Firestore
+export const isDocumentId = (id) => /^[A-Za-z0-9_-]+$/.test(id);
+
+/**
+ * Reads Firestore documents over REST. With an `idToken` the read is made
+ * as that Firebase user, otherwise anonymously, so the security rules
+ * decide what is visible either way. `emulatorHost`
+ * (FIRESTORE_EMULATOR_HOST) points it at the local emulator.
+ * `getDocument(path)` resolves to `{ status, data }`, with `data` the
+ * decoded fields when the read succeeded and the error body otherwise.
+ */
+export const createFirestoreReader = ({ projectId, emulatorHost } = {}) => {
+  const baseUrl = emulatorHost
+    ? `http://${emulatorHost}/v1/projects/${projectId}/databases/(default)/documents`
+    : `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents`;
+
+  const getDocument = async (path, { idToken } = {}) => {
+    const response = await fetch(`${baseUrl}/${path}`, {
+      headers: idToken ? { Authorization: `Bearer ${idToken}` } : {},
+    });
+    if (!response.ok) return { status: response.status, data: await response.text() };
+    const doc = await response.json();
+    return { status: response.status, data: decodeFields(doc.fields || {}) };
+  };
+
+  return { enabled: Boolean(projectId), getDocument };
+};
@@ -0,0 +1,127 @@
+import { randomInt } from 'crypto';
+
+/**
+ * Aspect-ratio presets, sized for SDXL/FLUX-class models (~1 megapixel)
+ */
+export const ASPECT_RATIOS = {
+  '1:1': [1024, 1024],
+  '16:9': [1344, 768],
+  '9:16': [768, 1344],
+  '4:3': [1152, 896],
+  '3:4': [896, 1152],
+  '3:2': [1216, 832],
+  '2:3': [832, 1216],
+};
+
+/**
+ * Parameter limits for a model. Providers override these per model via
+ * `imageLimits(model)`; a `null` entry means the model does not support it.
+ * `sizes` (a list of [width, height]) replaces `size` for fixed-size models.
+ */
+export const DEFAULT_LIMITS = {
+  size: { min: 256, max: 2048, multiple: 8 },
+  steps: { min: 1, max: 100 },
+  guidance: { min: 0, max: 30 },
+  negativePrompt: true,
+  seed: true,
+};
+
+const MAX_SEED = 2 ** 32 - 1;
+
+// Upper bound for `count`, the number of variations rendered per request
+export const MAX_IMAGE_COUNT = 4;
+
+export const isImageCount = (count) => Number.isInteger(count) && count >= 1 && count <= MAX_IMAGE_COUNT;
+
+/**
+ * Parameters for variation `index` of a batch: seeded models get
+ * consecutive seeds, so every variation can be regenerated on its own.
+ */
+export const variationParams = (params, index) =>
+  params.seed === undefined ? params : { ...params, seed: (params.seed + index) % (MAX_SEED + 1) };
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+const inRange = (value, { min, max }) => value >= min && value <= max;
+
+// Fixed-size models get the allowed size whose shape is closest to the preset
+const closestSize = (sizes, width, height) => sizes.reduce((best, size) =>
+  Math.abs(size[0] / size[1] - width / height) < Math.abs(best[0] / best[1] - width / height) ? size : best);
+
+/**
+ * Validate user-supplied image parameters against a model's limits.
+ * Accepts `{ seed, width, height, aspectRatio, steps, guidance, negativePrompt }`
+ * and returns `{ params, errors }`. An aspect ratio is returned as the
+ * `width` and `height` it resolves to, and when the model supports seeds and
+ * none is given, a random one is chosen, so sending `params` back
+ * regenerates the result exactly.
+ */
+export const resolveImageParams = (input = {}, limits = DEFAULT_LIMITS) => {
+  const errors = [];
+  const params = {};
+  let width = toNumber(input.width);
+  let height = toNumber(input.height);
+  const steps = toNumber(input.steps);
+  const guidance = toNumber(input.guidance);
+  const seed = toNumber(input.seed);
+
+  if (input.aspectRatio) {
+    if (!ASPECT_RATIOS[input.aspectRatio]) {
+      errors.push(`Unknown aspect ratio "${input.aspectRatio}"; use one of ${Object.keys(ASPECT_RATIOS).join(', ')}`);
+    } else if (width !== undefined || height !== undefined) {
+      errors.push('Use either aspectRatio or width/height, not both');
+    } else {
+      [width, height] = ASPECT_RATIOS[input.aspectRatio];
+      if (limits.sizes) [width, height] = closestSize(limits.sizes, width, height);
+    }
+  }
+
+  if (width !== undefined || height !== undefined) {
+    if (!Number.isInteger(width) || !Number.isInteger(height)) {
+      errors.push('width and height must both be integers');
+    } else if (limits.sizes) {
+      if (!limits.sizes.some(([w, h]) => w === width && h === height)) {
+        errors.push(`Size ${width}x${height} is not supported; use one of ${limits.sizes.map(([w, h]) => `${w}x${h}`).join(', ')}`);
+      }
+    } else if (!inRange(width, limits.size) || !inRange(height, limits.size)) {
+      errors.push(`width and height must be between ${limits.size.min} and ${limits.size.max}`);
+    } else if (width % limits.size.multiple || height % limits.size.multiple) {
+      errors.push(`width and height must be multiples of ${limits.size.multiple}`);
+    }
+    params.width = width;
+    params.height = height;
+  }
+
+  if (steps !== undefined) {
+    if (!limits.steps) errors.push('steps are not supported by this model');
+    else if (!Number.isInteger(steps) || !inRange(steps, limits.steps)) {
+      errors.push(`steps must be an integer between ${limits.steps.min} and ${limits.steps.max}`);
+    }
+    params.steps = steps;
+  }
+
+  if (guidance !== undefined) {
+    if (!limits.guidance) errors.push('guidance is not supported by this model');
+    else if (typeof guidance !== 'number' || !inRange(guidance, limits.guidance)) {
+      errors.push(`guidance must be a number between ${limits.guidance.min} and ${limits.guidance.max}`);
+    }
+    params.guidance = guidance;
+  }
+
+  if (input.negativePrompt) {
+    if (!limits.negativePrompt) errors.push('negativePrompt is not supported by this model');
+    else if (typeof input.negativePrompt !== 'string') errors.push('negativePrompt must be a string');
+    params.negativePrompt = input.negativePrompt;
+  }
+
+  if (limits.seed) {
+    if (seed === undefined || seed === null) params.seed = randomInt(MAX_SEED);
+    else if (!Number.isInteger(seed) || !inRange(seed, { min: 0, max: MAX_SEED })) {
+      errors.push(`seed must be an integer between 0 and ${MAX_SEED}`);
+    } else params.seed = seed;
+  } else if (seed !== undefined && seed !== null) {
+    errors.push('seed is not supported by this model');
+  }
+
+  return { params, errors };
+};
@@ -0,0 +1,29 @@
+const FINISHED = new Set(['completed', 'failed', 'cancelled']);
+
+/**
+ * In-memory job store. Any object with the same async
+ * get / set / delete / list methods can replace it (Redis, Firestore, ...).
+ * Finished jobs are dropped after `ttlMs`.
+ */
+export const createMemoryStore = ({ ttlMs = 60 * 60 * 1000 } = {}) => {
+  const jobs = new Map();
+
+  const prune = () => {
+    const cutoff = Date.now() - ttlMs;
+    for (const [id, job] of jobs) {
+      if (FINISHED.has(job.status) && Date.parse(job.updatedAt) < cutoff) jobs.delete(id);
+    }
+  };
+
+  return {
+    get: async (id) => jobs.get(id) || null,
+    set: async (job) => {
+      prune();
+      jobs.set(job.id, job);
+    },
+    delete: async (id) => {
+      jobs.delete(id);
+    },
+    list: async () => [...jobs.values()],
+  };
+};
@@ -0,0 +1,142 @@
+import { randomUUID } from 'crypto';
+import { createMemoryStore } from './memoryStore.js';
+import { withRetry } from '../retry.js';
+
+const FINISHED = new Set(['completed', 'failed', 'cancelled']);
+
+const now = () => new Date().toISOString();
+
+/**
+ * Create an asynchronous job queue.
+ *
+ * Handlers are registered per job type and called as
+ * `handler(payload, { signal, retry })`: `signal` aborts on cancellation and
+ * `retry(fn)` re-runs `fn` with backoff on 429/503, recording each retry on the job.
+ * At most `concurrency` jobs run at once; the rest wait in FIFO order.
+ */
+export const createJobQueue = ({
+  store = createMemoryStore(),
+  concurrency = 2,
+  retries = 3,
+  baseDelayMs = 2000,
+  maxDelayMs = 30000,
+} = {}) => {
+  const handlers = new Map();
+  const pending = [];
+  const controllers = new Map();
+  let running = 0;
+
+  // A finished job is final: a late write from its handler (a retry
+  // starting after cancellation, ...) must not bring it back to life
+  const update = async (id, patch) => {
+    const job = await store.get(id);
+    if (!job) return null;
+    if (FINISHED.has(job.status)) return job;
+    const next = { ...job, ...patch, updatedAt: now() };
+    await store.set(next);
+    return next;
+  };
+
+  const run = async (id) => {
+    const job = await store.get(id);
+    if (!job || job.status !== 'queued') return;
+
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    await update(id, { status: 'running', startedAt: now() });
+
+    const retry = (fn) => withRetry(async (attempt) => {
+      // Cancelled during an earlier step of the handler
+      if (controller.signal.aborted) throw controller.signal.reason;
+      await update(id, { status: 'running', attempts: attempt });
+      return fn();
+    }, {
+      retries,
+      baseDelayMs,
+      maxDelayMs,
+      signal: controller.signal,
+      onRetry: (attempt, error, delayMs) => update(id, {
+        status: 'retrying',
+        lastError: error.message,
+        retryAt: new Date(Date.now() + delayMs).toISOString(),
+      }).then(() => console.log(`Job ${id} retrying in ${delayMs}ms (attempt ${attempt}): ${error.message}`)),
+    });
+
+    try {
+      const result = await handlers.get(job.type)(job.payload, { signal: controller.signal, retry });
+      if (!controller.signal.aborted) {
+        await update(id, { status: 'completed', result, finishedAt: now() });
+      }
+    } catch (error) {
+      // A cancelled job has already been marked as such
+      if (controller.signal.aborted) return;
+      console.error(`Job ${id} Error:`, error);
+      await update(id, {
+        status: 'failed',
+        error: { message: error.message, status: error.status, details: error.details },
+        finishedAt: now(),
+      });
+    } finally {
+      controllers.delete(id);
+    }
+  };
+
+  const pump = () => {
+    while (running < concurrency && pending.length) {
+      const id = pending.shift();
+      running++;
+      run(id).finally(() => {
+        running--;
+        pump();
+      });
+    }
+  };
+
+  return {
+    register: (type, handler) => {
+      handlers.set(type, handler);
+    },
+
+    enqueue: async (type, payload) => {
+      if (!handlers.has(type)) throw new Error(`Unknown job type "${type}"`);
+      const job = {
+        id: randomUUID(),
+        type,
+        payload,
+        status: 'queued',
+        attempts: 0,
+        result: null,
+        error: null,
+        createdAt: now(),
+        updatedAt: now(),
+      };
+      await store.set(job);
+      pending.push(job.id);
+      pump();
+      return job;
+    },
+
+    get: (id) => store.get(id),
+
+    cancel: async (id) => {
+      const job = await store.get(id);
+      if (!job || FINISHED.has(job.status)) return job;
+
+      const index = pending.indexOf(id);
+      if (index !== -1) pending.splice(index, 1);
+      const cancelled = await update(id, { status: 'cancelled', finishedAt: now() });
+      controllers.get(id)?.abort(new Error('Job cancelled'));
+      return cancelled;
+    },
+
+    // Re-queue unfinished jobs left in a persistent store by a previous process
+    resume: async () => {
+      for (const job of await store.list()) {
+        if (FINISHED.has(job.status)) continue;
+        await update(job.id, { status: 'queued' });
+        pending.push(job.id);
+      }
+      pump();
+    },
+  };
+};
@@ -0,0 +1,43 @@
+import { JSDOM } from 'jsdom';
+
+let mermaidPromise;
+
+/**
+ * Lazily load Mermaid with a minimal DOM. Its parser runs in Node, but
+ * some diagram types (mindmap, ...) initialise DOMPurify at import time.
+ */
+const loadMermaid = () => {
+  if (!mermaidPromise) {
+    mermaidPromise = (async () => {
+      if (!globalThis.window) {
+        const { window } = new JSDOM('');
+        globalThis.window = window;
+        globalThis.document = window.document;
+      }
+      const { default: mermaid } = await import('mermaid');
+      mermaid.initialize({ startOnLoad: false });
+      return mermaid;
+    })();
+  }
+  return mermaidPromise;
+};
+
+/**
+ * Parse Mermaid source and report diagnostics instead of throwing.
+ * Resolves to `{ valid, diagramType, error }`.
+ */
+export const parseMermaid = async (code) => {
+  const mermaid = await loadMermaid();
+  try {
+    const { diagramType } = await mermaid.parse(code);
+    return { valid: true, diagramType, error: null };
+  } catch (error) {
+    return { valid: false, diagramType: null, error: error.message || String(error) };
+  }
+};
+
+/**
+ * Strip markdown code fences a model may wrap around its answer
+ */
+export const stripCodeFences = (text) =>
+  text.trim().replace(/^```mermaid\n?/, '').replace(/^```\n?/, '').replace(/\n?```$/, '');
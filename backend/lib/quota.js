@@ -0,0 +1,67 @@
+/**
+ * Per-user quotas over a fixed window. `limits` maps a kind of call
+ * ('llm', 'image', ...) to how many units a user may spend per `windowMs`;
+ * a kind without a limit is unmetered. Counters are in memory and reset
+ * when the process restarts.
+ */
+export const createQuotaTracker = ({ limits = {}, windowMs = 24 * 60 * 60 * 1000 } = {}) => {
+  const windows = new Map();
+
+  const windowFor = (userId) => {
+    const now = Date.now();
+    let current = windows.get(userId);
+    if (!current || current.resetAt <= now) {
+      current = { resetAt: now + windowMs, used: {} };
+      windows.set(userId, current);
+    }
+    return current;
+  };
+
+  /**
+   * Spend `costs` (e.g. `{ llm: 1, image: 4 }`) for a user, all or nothing.
+   * Returns `{ ok: true }`, or `{ ok: false, kind, limit, used, resetAt }`
+   * for the first kind that would go over its limit.
+   */
+  const consume = (userId, costs) => {
+    const current = windowFor(userId);
+    for (const [kind, amount] of Object.entries(costs)) {
+      const limit = limits[kind];
+      const used = current.used[kind] || 0;
+      if (amount > 0 && Number.isFinite(limit) && used + amount > limit) {
+        return { ok: false, kind, limit, used, resetAt: new Date(current.resetAt).toISOString() };
+      }
+    }
+    for (const [kind, amount] of Object.entries(costs)) {
+      current.used[kind] = (current.used[kind] || 0) + amount;
+    }
+    return { ok: true };
+  };
+
+  /**
+   * Remaining allowance per limited kind for a user
+   */
+  const status = (userId) => {
+    const current = windowFor(userId);
+    return Object.fromEntries(Object.entries(limits)
+      .filter(([, limit]) => Number.isFinite(limit))
+      .map(([kind, limit]) => {
+        const used = current.used[kind] || 0;
+        return [kind, { limit, used, remaining: Math.max(0, limit - used), resetAt: new Date(current.resetAt).toISOString() }];
+      }));
+  };
+
+  /**
+   * Express middleware charging `costOf(req)` to `req.user` before the
+   * route runs; answers 429 when the quota is exhausted
+   */
+  const charge = (costOf) => (req, res, next) => {
+    const result = consume(req.user.id, costOf(req));
+    if (result.ok) return next();
+    res.status(429).json({
+      error: `${result.kind === 'image' ? 'Image' : 'LLM'} quota exceeded`,
+      details: { kind: result.kind, limit: result.limit, used: result.used, resetAt: result.resetAt },
+    });
+  };
+
+  return { consume, status, charge };
+};
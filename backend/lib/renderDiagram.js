@@ -0,0 +1,53 @@
+import puppeteer from 'puppeteer';
+import { renderMermaid } from '@mermaid-js/mermaid-cli';
+
+export const RENDER_FORMATS = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  pdf: 'application/pdf',
+};
+
+export const MERMAID_THEMES = ['default', 'dark', 'forest', 'neutral'];
+
+let browserPromise;
+
+/**
+ * One headless Chromium shared by all renders, launched on first use.
+ * Set MERMAID_RENDER_NO_SANDBOX=1 when running as root (e.g. in containers).
+ */
+const getBrowser = () => {
+  if (!browserPromise) {
+    browserPromise = puppeteer.launch({
+      headless: true,
+      args: process.env.MERMAID_RENDER_NO_SANDBOX ? ['--no-sandbox', '--disable-setuid-sandbox'] : [],
+    }).catch((error) => {
+      browserPromise = null;
+      throw error;
+    });
+  }
+  return browserPromise;
+};
+
+/**
+ * Render Mermaid source to SVG, PNG or PDF in headless Chromium.
+ * `background` is any CSS color or 'transparent'; `scale` is the PNG
+ * device pixel ratio. Resolves to a Buffer.
+ */
+export const renderDiagram = async (code, { format = 'svg', theme = 'default', background = 'white', scale = 2 } = {}) => {
+  const { data } = await renderMermaid(await getBrowser(), code, format, {
+    backgroundColor: background,
+    mermaidConfig: { theme },
+    viewport: { width: 1200, height: 800, deviceScaleFactor: scale },
+    pdfFit: true,
+  });
+  return Buffer.from(data);
+};
+
+/**
+ * Close the shared browser, if one was launched
+ */
+export const closeRenderer = async () => {
+  const browser = await browserPromise;
+  browserPromise = null;
+  await browser?.close();
+};
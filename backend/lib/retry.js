@@ -0,0 +1,41 @@
+// Upstream statuses worth retrying: rate limited, or HF "model loading"
+const RETRYABLE_STATUSES = new Set([429, 503]);
+
+export const isRetryable = (error) => RETRYABLE_STATUSES.has(error?.status);
+
+/**
+ * Delay before retry number `attempt` (1-based). Uses exponential backoff,
+ * or HF's own `estimated_time` when it reports the model is still loading.
+ */
+export const backoffDelay = (attempt, error, { baseDelayMs = 2000, maxDelayMs = 30000 } = {}) => {
+  const estimatedMs = Number(error?.details?.estimated_time) * 1000;
+  const delay = estimatedMs > 0 ? Math.max(estimatedMs, baseDelayMs) : baseDelayMs * 2 ** (attempt - 1);
+  return Math.min(delay, maxDelayMs);
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+/**
+ * Run `fn(attempt)` and retry it while it fails with a retryable status,
+ * up to `retries` extra attempts. `onRetry(attempt, error, delayMs)` is
+ * called before each wait; aborting `signal` stops waiting immediately.
+ */
+export const withRetry = async (fn, { retries = 3, signal, onRetry, ...delays } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error) || signal?.aborted) throw error;
+      const delayMs = backoffDelay(attempt, error, delays);
+      await onRetry?.(attempt, error, delayMs);
+      await sleep(delayMs, signal);
+    }
+  }
+};
@@ -0,0 +1,102 @@
+import fetch from 'node-fetch';
+import { createFirestoreReader, isDocumentId } from './firestore.js';
+
+export class ShareError extends Error {
+  constructor(message, { status = 404 } = {}) {
+    super(message);
+    this.name = 'ShareError';
+    this.status = status;
+  }
+}
+
+const GONE_MESSAGE = 'This share link has expired or been revoked';
+
+/**
+ * Resolves share links (`shares` documents) to the manifestation they
+ * point at, reading anonymously like any visitor: the security rules
+ * hide revoked and expired shares, and the check is repeated here.
+ */
+export const createShareStore = ({ projectId, emulatorHost } = {}) => {
+  const firestore = createFirestoreReader({ projectId, emulatorHost });
+
+  const get = async (id) => {
+    if (!firestore.enabled) throw new ShareError('Share links need FIREBASE_PROJECT_ID on the backend', { status: 503 });
+    if (!isDocumentId(id)) throw new ShareError('Share link not found');
+
+    const share = await firestore.getDocument(`shares/${id}`);
+    if (share.status === 404) throw new ShareError('Share link not found');
+    if (share.status === 403 || share.status === 401) throw new ShareError(GONE_MESSAGE, { status: 410 });
+    if (share.status !== 200) throw new ShareError('Failed to load share link', { status: 502 });
+
+    const { revoked, expiresAt, visualId } = share.data;
+    if (revoked || (expiresAt && new Date(expiresAt) <= new Date())) throw new ShareError(GONE_MESSAGE, { status: 410 });
+
+    const visual = await firestore.getDocument(`visuals/${visualId}`);
+    if (visual.status === 404) throw new ShareError('The shared manifestation has been deleted', { status: 410 });
+    if (visual.status !== 200) throw new ShareError('Failed to load the shared manifestation', { status: 502 });
+
+    return { share: { id, ...share.data }, item: { id: visualId, ...visual.data } };
+  };
+
+  return { get };
+};
+
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const truncate = (text = '', length) => text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+// Fallback when the frontend's index.html can't be fetched
+const MINIMAL_SHELL = '<!doctype html><html lang="en"><head><meta charset="UTF-8" /><title>TextToVisual</title></head><body></body></html>';
+
+/**
+ * Loads the frontend's index.html from `appUrl`, caching it for `ttlMs`,
+ * so share pages boot the app like any other route
+ */
+export const createAppShell = ({ appUrl, ttlMs = 5 * 60 * 1000 } = {}) => {
+  let cached = null;
+  let fetchedAt = 0;
+
+  return async () => {
+    if (!appUrl) return MINIMAL_SHELL;
+    if (cached && Date.now() - fetchedAt < ttlMs) return cached;
+    try {
+      const response = await fetch(`${appUrl}/index.html`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      cached = await response.text();
+      fetchedAt = Date.now();
+      return cached;
+    } catch (error) {
+      console.error('App Shell Error:', error);
+      return cached || MINIMAL_SHELL;
+    }
+  };
+};
+
+/**
+ * The app shell with a title and Open Graph / Twitter card tags for a
+ * shared manifestation (`item`), or for an `error` such as an expired link
+ */
+export const renderSharePage = (shell, { item, error, url }) => {
+  // Chat previews can't show inline data URLs
+  const image = [item?.imageUrl, item?.thumbnailUrl].find((src) => /^https?:\/\//.test(src || ''));
+  const title = item ? truncate(item.prompt || 'Shared manifestation', 70) : 'Manifestation unavailable';
+  const description = item ? truncate(item.enhancedPrompt || item.prompt || '', 200) : error;
+
+  const tags = [
+    `<meta property="og:type" content="website" />`,
+    `<meta property="og:site_name" content="TextToVisual" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    `<meta property="og:url" content="${escapeHtml(url)}" />`,
+    `<meta name="description" content="${escapeHtml(description)}" />`,
+    `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}" />`,
+    ...(image ? [`<meta property="og:image" content="${escapeHtml(image)}" />`] : []),
+    ...(error ? ['<meta name="robots" content="noindex" />'] : []),
+  ].join('\n    ');
+
+  const head = `<title>${escapeHtml(title)} · TextToVisual</title>\n    ${tags}`;
+  return /<title>[\s\S]*?<\/title>/.test(shell)
+    ? shell.replace(/<title>[\s\S]*?<\/title>/, () => head)
+    : shell.replace('</head>', () => `${head}\n  </head>`);
+};
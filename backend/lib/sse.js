@@ -0,0 +1,29 @@
+/**
+ * Turn an Express response into a Server-Sent Events stream.
+ * `send` is a no-op once the client has disconnected.
+ */
+export const openEventStream = (res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  res.flushHeaders();
+
+  // The response closes when the client disconnects. Not the request: on
+  // Node 20 it closes as soon as its body has been read.
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  return {
+    get closed() { return closed; },
+    send: (event, data = {}) => {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close: () => {
+      closed = true;
+      if (!res.writableEnded) res.end();
+    },
+  };
+};
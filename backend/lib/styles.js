@@ -0,0 +1,70 @@
+import { createFirestoreReader, isDocumentId } from './firestore.js';
+
+export class StyleError extends Error {
+  constructor(message, { status = 400, details = {} } = {}) {
+    super(message);
+    this.name = 'StyleError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * The parts of a `styles` document the generation routes use
+ */
+export const toStylePreset = (id, data) => ({
+  id,
+  name: data.name || id,
+  promptSuffix: data.promptSuffix || '',
+  negativePrompt: data.negativePrompt || '',
+  defaults: {
+    ...(data.defaults?.aspectRatio && { aspectRatio: data.defaults.aspectRatio }),
+    ...(data.defaults?.steps && { steps: Number(data.defaults.steps) }),
+  },
+  referenceExample: data.referenceExample || '',
+});
+
+/**
+ * Reads user style presets from the Firestore `styles` collection on behalf
+ * of the caller: their Firebase ID token is forwarded so the security rules
+ * decide what they may read (their own presets and shared ones). Without a
+ * token only shared presets are readable.
+ */
+export const createStyleStore = ({ projectId, emulatorHost } = {}) => {
+  const firestore = createFirestoreReader({ projectId, emulatorHost });
+
+  const get = async (id, { idToken } = {}) => {
+    if (!firestore.enabled) throw new StyleError('Custom styles need FIREBASE_PROJECT_ID on the backend');
+    if (!isDocumentId(id)) throw new StyleError(`Invalid style id "${id}"`);
+
+    const { status, data } = await firestore.getDocument(`styles/${id}`, { idToken });
+    if (status === 404) throw new StyleError(`Style "${id}" not found`, { status: 404 });
+    if (status === 403 || status === 401) {
+      throw new StyleError(`Style "${id}" is private`, { status: 403 });
+    }
+    if (status !== 200) {
+      throw new StyleError('Failed to load style', { status: 502, details: { status, body: data } });
+    }
+
+    return toStylePreset(id, data);
+  };
+
+  return { get };
+};
+
+/**
+ * Image parameters with a preset's defaults filled in: its size and steps
+ * apply unless the request sets them, and its negative prompt is combined
+ * with the request's.
+ */
+export const applyStyleDefaults = (parameters = {}, preset) => {
+  if (!preset) return parameters;
+  const hasSize = ['aspectRatio', 'width', 'height'].some((key) => parameters[key] !== undefined);
+  const negativePrompt = [preset.negativePrompt, parameters.negativePrompt].filter(Boolean).join(', ');
+  return {
+    ...(hasSize ? {} : { aspectRatio: preset.defaults.aspectRatio }),
+    ...(parameters.steps === undefined && preset.defaults.steps ? { steps: preset.defaults.steps } : {}),
+    ...parameters,
+    ...(negativePrompt && { negativePrompt }),
+  };
+};
@@ -0,0 +1,91 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Usage ledger: one entry per provider call with the user, route, kind
+ * ('llm' or 'image'), provider, model, latency and outcome. The most recent
+ * `maxEntries` stay in memory; with `file` set, every entry is also
+ * appended there as a JSON line and reloaded on startup.
+ */
+export const createUsageLedger = ({ file, maxEntries = 10000 } = {}) => {
+  let entries = [];
+  let writes = Promise.resolve();
+
+  const ready = file
+    ? fs.readFile(file, 'utf8')
+      .then((content) => {
+        entries = content.split('\n').filter(Boolean).map((line) => JSON.parse(line)).slice(-maxEntries);
+      })
+      .catch((error) => {
+        if (error.code !== 'ENOENT') console.error('Usage Ledger Load Error:', error);
+      })
+    : Promise.resolve();
+
+  const record = (entry) => {
+    const stored = { at: new Date().toISOString(), ...entry };
+    entries.push(stored);
+    if (entries.length > maxEntries) entries = entries.slice(-maxEntries);
+    if (file) {
+      // Appends are chained so lines never interleave
+      writes = writes
+        .then(() => fs.mkdir(path.dirname(path.resolve(file)), { recursive: true }))
+        .then(() => fs.appendFile(file, `${JSON.stringify(stored)}\n`))
+        .catch((error) => console.error('Usage Ledger Write Error:', error));
+    }
+    return stored;
+  };
+
+  /**
+   * Entries, newest last, optionally for one user and/or since an ISO date
+   */
+  const list = async ({ userId, since } = {}) => {
+    await ready;
+    return entries.filter((entry) => (!userId || entry.userId === userId) && (!since || entry.at >= since));
+  };
+
+  /**
+   * Call counts, units, failures and average latency per kind and provider
+   */
+  const summarize = (list) => {
+    const totals = {};
+    for (const entry of list) {
+      const key = `${entry.kind}:${entry.provider}`;
+      const total = totals[key] ||= { kind: entry.kind, provider: entry.provider, calls: 0, units: 0, failures: 0, totalLatencyMs: 0 };
+      total.calls += 1;
+      total.units += entry.units || 1;
+      total.failures += entry.ok ? 0 : 1;
+      total.totalLatencyMs += entry.latencyMs;
+    }
+    return Object.values(totals).map(({ totalLatencyMs, ...total }) => ({
+      ...total,
+      avgLatencyMs: Math.round(totalLatencyMs / total.calls),
+    }));
+  };
+
+  /**
+   * Run `fn` and record its latency and outcome. `context` holds the
+   * `userId` and `route`; `resolved` is the `{ provider, model }` from
+   * resolveProvider.
+   */
+  const meter = async (context, kind, resolved, fn, units = 1) => {
+    const started = Date.now();
+    let ok = false;
+    try {
+      const result = await fn();
+      ok = true;
+      return result;
+    } finally {
+      record({
+        ...context,
+        kind,
+        provider: resolved.provider.name,
+        model: resolved.model,
+        units,
+        latencyMs: Date.now() - started,
+        ok,
+      });
+    }
+  };
+
+  return { record, list, summarize, meter };
+};
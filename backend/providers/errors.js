@@ -0,0 +1,13 @@
+/**
+ * Error raised by a generation provider. Carries the upstream HTTP status
+ * and any error payload so routes can forward them to the client.
+ */
+export class ProviderError extends Error {
+  constructor(message, { status = 500, details = {}, provider } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.details = details;
+    this.provider = provider;
+  }
+}
@@ -0,0 +1,36 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+const DEFAULT_MODEL = "gemini-1.5-flash"; // Using 1.5 flash for speed
+
+const models = new Map();
+
+const getModel = (model) => {
+  if (!models.has(model)) {
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    models.set(model, genAI.getGenerativeModel({ model }));
+  }
+  return models.get(model);
+};
+
+/**
+ * Google Gemini text provider
+ */
+export default {
+  name: 'gemini',
+  defaultTextModel: DEFAULT_MODEL,
+  requires: 'GEMINI_API_KEY',
+  isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+
+  generateText: async (prompt, { model = DEFAULT_MODEL } = {}) => {
+    const result = await getModel(model).generateContent(prompt);
+    const response = await result.response;
+    return response.text().trim();
+  },
+
+  streamText: async function* (prompt, { model = DEFAULT_MODEL } = {}) {
+    const result = await getModel(model).generateContentStream(prompt);
+    for await (const chunk of result.stream) {
+      yield chunk.text();
+    }
+  },
+};
@@ -0,0 +1,63 @@
+import fetch from 'node-fetch';
+import { ProviderError } from './errors.js';
+import { DEFAULT_LIMITS } from '../lib/imageParams.js';
+
+const BASE_URL = "https://router.huggingface.co/hf-inference/models";
+const DEFAULT_MODEL = "black-forest-labs/FLUX.1-schnell";
+
+// FLUX is guidance-distilled and has no negative prompt; schnell needs at most 4 steps
+const MODEL_LIMITS = {
+  'black-forest-labs/FLUX.1-schnell': { ...DEFAULT_LIMITS, steps: { min: 1, max: 4 }, guidance: null, negativePrompt: false },
+  'black-forest-labs/FLUX.1-dev': { ...DEFAULT_LIMITS, steps: { min: 1, max: 50 }, guidance: { min: 0, max: 20 }, negativePrompt: false },
+};
+
+// Map our parameter names onto the HF text-to-image task parameters
+const toHfParameters = ({ width, height, steps, guidance, negativePrompt, seed } = {}) => Object.fromEntries(
+  Object.entries({
+    width,
+    height,
+    num_inference_steps: steps,
+    guidance_scale: guidance,
+    negative_prompt: negativePrompt,
+    seed,
+  }).filter(([, value]) => value !== undefined),
+);
+
+/**
+ * HuggingFace Inference image provider
+ */
+export default {
+  name: 'huggingface',
+  defaultImageModel: DEFAULT_MODEL,
+  requires: 'HUGGINGFACE_API_KEY',
+  isConfigured: () => Boolean(process.env.HUGGINGFACE_API_KEY),
+  imageLimits: (model) => MODEL_LIMITS[model] || DEFAULT_LIMITS,
+
+  generateImage: async (prompt, { model = DEFAULT_MODEL, parameters = {}, signal } = {}) => {
+    const apiKey = process.env.HUGGINGFACE_API_KEY;
+    if (!apiKey) throw new ProviderError('HF Key missing', { provider: 'huggingface' });
+
+    const hfResponse = await fetch(`${BASE_URL}/${model}`, {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ inputs: prompt, parameters: toHfParameters(parameters) }),
+      signal,
+    });
+
+    if (!hfResponse.ok) {
+      const errorData = await hfResponse.json().catch(() => ({}));
+      console.error('HF API Error Details:', JSON.stringify(errorData));
+      throw new ProviderError('HF API failed', {
+        status: hfResponse.status,
+        details: errorData,
+        provider: 'huggingface',
+      });
+    }
+
+    const buffer = Buffer.from(await hfResponse.arrayBuffer());
+    return { buffer, mimeType: hfResponse.headers.get('content-type') || 'image/jpeg' };
+  },
+};
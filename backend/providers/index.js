@@ -0,0 +1,100 @@
+import gemini from './gemini.js';
+import huggingface from './huggingface.js';
+import openai from './openai.js';
+import local from './local.js';
+import mock from './mock.js';
+import { ProviderError } from './errors.js';
+import { DEFAULT_LIMITS, resolveImageParams } from '../lib/imageParams.js';
+
+export { ProviderError };
+
+const registry = new Map([gemini, huggingface, openai, local, mock].map((p) => [p.name, p]));
+
+/**
+ * Register an additional provider at runtime. A provider is an object with a
+ * `name` plus `generateText(prompt, opts)` and/or `generateImage(prompt, opts)`.
+ */
+export const registerProvider = (provider) => {
+  registry.set(provider.name, provider);
+};
+
+/**
+ * Names of the default text and image providers (TEXT_PROVIDER, IMAGE_PROVIDER)
+ */
+export const providerDefaults = () => ({
+  text: process.env.TEXT_PROVIDER || 'gemini',
+  image: process.env.IMAGE_PROVIDER || 'huggingface',
+});
+
+const capability = { text: 'generateText', image: 'generateImage' };
+
+/**
+ * Resolve the provider for a role ('text' | 'image').
+ * `name` is the per-request override; when it names a provider that cannot
+ * serve this role (e.g. huggingface for text), the configured default is used.
+ * Returns `{ provider, model }`.
+ */
+export const resolveProvider = (role, { name, model } = {}) => {
+  if (name && !registry.has(name)) {
+    throw new ProviderError(`Unknown provider "${name}"`, {
+      status: 400,
+      details: { available: [...registry.keys()] },
+    });
+  }
+
+  const requested = name && registry.get(name);
+  const provider = requested?.[capability[role]] ? requested : registry.get(providerDefaults()[role]);
+  if (!provider?.[capability[role]]) {
+    throw new ProviderError(`No ${role} provider configured`, { status: 500 });
+  }
+
+  const defaultModel = role === 'text' ? provider.defaultTextModel : provider.defaultImageModel;
+  // A model override only applies to the provider it was requested for
+  const useModel = requested === provider && model ? model : defaultModel;
+  return { provider, model: useModel };
+};
+
+/**
+ * Validate image parameters against the limits of the resolved image model.
+ * Throws a 400 ProviderError listing every problem; resolves to the params.
+ */
+export const validateImageParams = ({ provider, model }, input) => {
+  const limits = provider.imageLimits ? provider.imageLimits(model) : DEFAULT_LIMITS;
+  const { params, errors } = resolveImageParams(input, limits);
+  if (errors.length) {
+    throw new ProviderError('Invalid image parameters', { status: 400, details: { model, errors }, provider: provider.name });
+  }
+  return params;
+};
+
+/**
+ * Generate text while reporting each chunk to `onToken` as it arrives.
+ * Providers without `streamText` report their whole answer as one chunk.
+ * Resolves to the full, trimmed text.
+ */
+export const generateTextStreaming = async ({ provider, model }, prompt, options, onToken) => {
+  if (!provider.streamText) {
+    const text = await provider.generateText(prompt, { ...options, model });
+    onToken(text);
+    return text;
+  }
+
+  let text = '';
+  for await (const token of provider.streamText(prompt, { ...options, model })) {
+    text += token;
+    onToken(token);
+  }
+  return text.trim();
+};
+
+/**
+ * Describe every registered provider and whether it has the config it needs
+ * (`requires` names the environment variables).
+ */
+export const listProviders = () => [...registry.values()].map((p) => ({
+  name: p.name,
+  text: Boolean(p.generateText),
+  image: Boolean(p.generateImage),
+  configured: p.isConfigured ? p.isConfigured() : true,
+  ...(p.requires && { requires: p.requires }),
+}));
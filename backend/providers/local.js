@@ -0,0 +1,48 @@
+import fetch from 'node-fetch';
+import { ProviderError } from './errors.js';
+
+const baseUrl = () => (process.env.LOCAL_PROVIDER_URL || "http://localhost:8080").replace(/\/$/, '');
+
+const post = async (path, body, signal) => {
+  const response = await fetch(`${baseUrl()}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new ProviderError('Local provider failed', {
+      status: response.status,
+      details: errorData,
+      provider: 'local',
+    });
+  }
+  return response;
+};
+
+/**
+ * Minimal HTTP contract for a self-hosted stand-in:
+ *   POST /text  { prompt, model }             -> { text }
+ *   POST /image { prompt, model, parameters } -> raw image bytes
+ */
+export default {
+  name: 'local',
+  defaultTextModel: 'default',
+  defaultImageModel: 'default',
+  requires: 'LOCAL_PROVIDER_URL',
+  isConfigured: () => Boolean(process.env.LOCAL_PROVIDER_URL),
+
+  generateText: async (prompt, { model } = {}) => {
+    const response = await post('/text', { prompt, model });
+    const data = await response.json();
+    return (data.text || '').trim();
+  },
+
+  generateImage: async (prompt, { model, parameters = {}, signal } = {}) => {
+    const response = await post('/image', { prompt, model, parameters }, signal);
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return { buffer, mimeType: response.headers.get('content-type') || 'image/png' };
+  },
+};
@@ -0,0 +1,56 @@
+import { createHash } from 'crypto';
+import { DIAGRAM_TYPES } from '../lib/diagramTypes.js';
+
+const MOCK_DIAGRAM = `graph TD
+A[Request] --> B{Mock Provider}
+B --> C[Enhanced Prompt]
+B --> D[Placeholder Image]
+C --> E[Result]
+D --> E`;
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, (c) => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;',
+}[c]));
+
+const hue = (text) => parseInt(createHash('sha1').update(text).digest('hex').slice(0, 4), 16) % 360;
+
+/**
+ * Deterministic offline provider. Produces a placeholder SVG coloured by the
+ * prompt and canned Mermaid, so the suite runs without network or API keys.
+ */
+export default {
+  name: 'mock',
+  defaultTextModel: 'mock-text',
+  defaultImageModel: 'mock-image',
+  isConfigured: () => true,
+
+  generateText: async (prompt, { task, input = prompt, diagramType, instruction } = {}) => {
+    if (task === 'diagram' || task === 'repair') return DIAGRAM_TYPES[diagramType]?.example || MOCK_DIAGRAM;
+    if (task === 'refine-diagram') return input;
+    if (task === 'refine-prompt') return `${input}, ${instruction}`;
+    if (task === 'moderate') return JSON.stringify(/\bmock-flagged\b/i.test(input) ? { allowed: false, category: 'mock', reason: 'Flagged by the mock classifier' } : { allowed: true });
+    return `${input}, mock enhancement, high resolution`;
+  },
+
+  streamText: async function* (prompt, options = {}) {
+    const text = await this.generateText(prompt, options);
+    for (const line of text.split(/(?<=\n)/)) {
+      yield line;
+    }
+  },
+
+  generateImage: async (prompt, { parameters = {} } = {}) => {
+    const width = parameters.width || 1024;
+    const height = parameters.height || 1024;
+    const h = hue(`${prompt}:${parameters.seed ?? ''}`);
+    const label = escapeXml(prompt.length > 60 ? `${prompt.slice(0, 57)}...` : prompt);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+<stop offset="0" stop-color="hsl(${h},45%,22%)"/><stop offset="1" stop-color="hsl(${(h + 60) % 360},45%,12%)"/>
+</linearGradient></defs>
+<rect width="100%" height="100%" fill="url(#g)"/>
+<text x="50%" y="50%" fill="#EAEEEF" font-family="sans-serif" font-size="${Math.round(width / 32)}" text-anchor="middle">${label}</text>
+</svg>`;
+    return { buffer: Buffer.from(svg), mimeType: 'image/svg+xml' };
+  },
+};
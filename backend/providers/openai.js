@@ -0,0 +1,96 @@
+import fetch from 'node-fetch';
+import { ProviderError } from './errors.js';
+import { DEFAULT_LIMITS } from '../lib/imageParams.js';
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+// The OpenAI images API only takes a fixed set of sizes and no sampler controls
+const FIXED_SIZE_LIMITS = { steps: null, guidance: null, negativePrompt: false, seed: false };
+const MODEL_LIMITS = {
+  'dall-e-2': { ...FIXED_SIZE_LIMITS, sizes: [[256, 256], [512, 512], [1024, 1024]] },
+  'dall-e-3': { ...FIXED_SIZE_LIMITS, sizes: [[1024, 1024], [1792, 1024], [1024, 1792]] },
+  'gpt-image-1': { ...FIXED_SIZE_LIMITS, sizes: [[1024, 1024], [1536, 1024], [1024, 1536]] },
+};
+
+const baseUrl = () => (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+
+const request = async (path, body, { raw = false, signal } = {}) => {
+  const response = await fetch(`${baseUrl()}${path}`, {
+    method: "POST",
+    headers: {
+      ...(process.env.OPENAI_API_KEY && { "Authorization": `Bearer ${process.env.OPENAI_API_KEY}` }),
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    console.error('OpenAI API Error Details:', JSON.stringify(errorData));
+    throw new ProviderError('OpenAI API failed', {
+      status: response.status,
+      details: errorData,
+      provider: 'openai',
+    });
+  }
+  return raw ? response : response.json();
+};
+
+/**
+ * Any OpenAI-compatible endpoint (OpenAI, vLLM, LM Studio, Ollama, ...).
+ * Point OPENAI_BASE_URL at the server's /v1 root.
+ */
+export default {
+  name: 'openai',
+  get defaultTextModel() { return process.env.OPENAI_TEXT_MODEL || "gpt-4o-mini"; },
+  get defaultImageModel() { return process.env.OPENAI_IMAGE_MODEL || "dall-e-3"; },
+  requires: 'OPENAI_API_KEY or OPENAI_BASE_URL',
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+
+  generateText: async (prompt, { model } = {}) => {
+    const data = await request('/chat/completions', {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+    });
+    return (data.choices?.[0]?.message?.content || '').trim();
+  },
+
+  streamText: async function* (prompt, { model } = {}) {
+    const response = await request('/chat/completions', {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: true,
+    }, { raw: true });
+
+    // Server-sent events: one `data: {json}` line per delta, ended by `data: [DONE]`
+    let buffered = '';
+    for await (const chunk of response.body) {
+      buffered += chunk.toString();
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !payload || payload === '[DONE]') continue;
+        const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+  },
+
+  // Other OpenAI-compatible servers get the generic limits
+  imageLimits: (model) => MODEL_LIMITS[model] || DEFAULT_LIMITS,
+
+  generateImage: async (prompt, { model, parameters = {}, signal } = {}) => {
+    const data = await request('/images/generations', {
+      model,
+      prompt,
+      n: 1,
+      response_format: 'b64_json',
+      ...(parameters.width && { size: `${parameters.width}x${parameters.height}` }),
+    }, { signal });
+    const b64 = data.data?.[0]?.b64_json;
+    if (!b64) throw new ProviderError('OpenAI API returned no image', { status: 502, details: data, provider: 'openai' });
+    return { buffer: Buffer.from(b64, 'base64'), mimeType: 'image/png' };
+  },
+};
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { loadApp } from './helpers.js';
+import { replyWith } from './fixtures/gemini.js';
+import { huggingface, imageReply } from './fixtures/huggingface.js';
+import { createQuotaTracker } from '../lib/quota.js';
+
+vi.mock('@google/generative-ai', () => import('./fixtures/gemini.js'));
+vi.mock('node-fetch', () => import('./fixtures/huggingface.js'));
+
+const PROJECT = 'demo-texttovisual';
+
+// ID tokens from the Auth emulator are unsigned JWTs
+const emulatorToken = (claims) => [{ alg: 'none', typ: 'JWT' }, claims]
+  .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+  .join('.') + '.';
+
+const idToken = (claims = {}) => emulatorToken({
+  iss: `https://securetoken.google.com/${PROJECT}`, aud: PROJECT, sub: 'uid-ada', name: 'Ada', ...claims,
+});
+
+beforeEach(() => {
+  huggingface.handler.mockReset();
+  replyWith('enhanced');
+  imageReply();
+});
+
+describe('API keys', () => {
+  const KEYS_ENV = { API_KEYS: 'alice:key-a,bob:key-b' };
+
+  it('requires a key on generation routes', async () => {
+    const app = await loadApp(KEYS_ENV);
+
+    const res = await request(app).post('/generate').send({ prompt: 'a lighthouse' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Authentication required');
+    expect(huggingface.handler).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unknown key', async () => {
+    const app = await loadApp(KEYS_ENV);
+
+    const res = await request(app).get('/usage').set('Authorization', 'Bearer key-x');
+
+    expect(res.status).toBe(401);
+    expect(res.body.details).toBe('Invalid API key');
+  });
+
+  it('identifies the caller by the name of their key, as a bearer token or X-API-Key', async () => {
+    const app = await loadApp(KEYS_ENV);
+
+    expect((await request(app).get('/usage').set('Authorization', 'Bearer key-a')).body.user).toBe('key:alice');
+    expect((await request(app).get('/usage').set('X-API-Key', 'key-b')).body.user).toBe('key:bob');
+  });
+
+  it('identifies callers by IP address when auth is off', async () => {
+    const app = await loadApp();
+
+    const res = await request(app).get('/usage');
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatch(/^ip:/);
+  });
+});
+
+describe('Firebase ID tokens', () => {
+  const EMULATOR_ENV = { FIREBASE_PROJECT_ID: PROJECT, FIREBASE_AUTH_EMULATOR_HOST: '127.0.0.1:9099' };
+
+  it('identifies the caller by their uid', async () => {
+    const app = await loadApp(EMULATOR_ENV);
+
+    const res = await request(app).get('/usage').set('Authorization', `Bearer ${idToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toBe('uid-ada');
+  });
+
+  it('rejects a token issued for another project', async () => {
+    const app = await loadApp(EMULATOR_ENV);
+
+    const res = await request(app).get('/usage')
+      .set('Authorization', `Bearer ${idToken({ iss: 'https://securetoken.google.com/other', aud: 'other' })}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.details).toBe('Invalid API key or ID token: Token is for another project');
+  });
+
+  it('rejects a malformed token', async () => {
+    const app = await loadApp(EMULATOR_ENV);
+
+    const res = await request(app).get('/usage').set('Authorization', 'Bearer not-a-jwt');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('quotas', () => {
+  it('are kept per user', async () => {
+    const app = await loadApp({ API_KEYS: 'alice:key-a,bob:key-b', QUOTA_IMAGES: '1' });
+
+    await request(app).post('/generate').set('Authorization', 'Bearer key-a').send({ prompt: 'a lighthouse' }).expect(200);
+    await request(app).post('/generate').set('Authorization', 'Bearer key-a').send({ prompt: 'a lighthouse' }).expect(429);
+    await request(app).post('/generate').set('Authorization', 'Bearer key-b').send({ prompt: 'a lighthouse' }).expect(200);
+
+    const res = await request(app).get('/usage').set('Authorization', 'Bearer key-a');
+    expect(res.body.quota.image).toMatchObject({ limit: 1, used: 1, remaining: 0 });
+  });
+
+  it('spend all of a request or none of it', () => {
+    const quotas = createQuotaTracker({ limits: { llm: 5, image: 2 } });
+
+    expect(quotas.consume('u1', { llm: 1, image: 3 })).toMatchObject({ ok: false, kind: 'image', limit: 2, used: 0 });
+    expect(quotas.status('u1')).toMatchObject({ llm: { used: 0 }, image: { used: 0 } });
+    expect(quotas.consume('u1', { llm: 1, image: 2 })).toEqual({ ok: true });
+    expect(quotas.status('u1')).toMatchObject({ llm: { used: 1, remaining: 4 }, image: { used: 2, remaining: 0 } });
+  });
+
+  it('leave kinds without a limit unmetered', () => {
+    const quotas = createQuotaTracker({ limits: { image: 1 } });
+
+    expect(quotas.consume('u1', { llm: 1000 })).toEqual({ ok: true });
+    expect(Object.keys(quotas.status('u1'))).toEqual(['image']);
+  });
+
+  it('reset when the window ends', () => {
+    vi.useFakeTimers();
+    try {
+      const quotas = createQuotaTracker({ limits: { image: 1 }, windowMs: 1000 });
+
+      expect(quotas.consume('u1', { image: 1 }).ok).toBe(true);
+      expect(quotas.consume('u1', { image: 1 }).ok).toBe(false);
+      vi.advanceTimersByTime(1000);
+      expect(quotas.consume('u1', { image: 1 }).ok).toBe(true);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { loadApp } from './helpers.js';
+
+vi.mock('@google/generative-ai', () => import('./fixtures/gemini.js'));
+vi.mock('node-fetch', () => import('./fixtures/huggingface.js'));
+
+let dir;
+let app;
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'blobs-'));
+  app = await loadApp({ BLOB_DIR: dir, API_KEYS: 'alice:alice-key,bob:bob-key' });
+});
+
+afterAll(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const put = (key, token) => {
+  const req = request(app).put(`/blobs/${key}`).set('Content-Type', 'image/png').send(Buffer.from('png'));
+  return token ? req.set('Authorization', `Bearer ${token}`) : req;
+};
+
+describe('local blob store', () => {
+  it('stores and deletes blobs in the caller\'s folder', async () => {
+    const res = await put('visuals/key:alice/a.png', 'alice-key').expect(201);
+    expect(res.body.url).toMatch(/\/blobs\/visuals\/key:alice\/a\.png$/);
+    await request(app).get('/blobs/visuals/key:alice/a.png').expect(200);
+
+    await request(app).delete('/blobs/visuals/key:alice/a.png').set('Authorization', 'Bearer alice-key').expect(204);
+    await request(app).get('/blobs/visuals/key:alice/a.png').expect(404);
+  });
+
+  it('requires authentication to write or delete', async () => {
+    await put('visuals/key:alice/b.png').expect(401);
+    await request(app).delete('/blobs/visuals/key:alice/b.png').expect(401);
+  });
+
+  it('refuses keys in another user\'s folder', async () => {
+    await put('visuals/key:bob/c.png', 'bob-key').expect(201);
+
+    await put('visuals/key:bob/c.png', 'alice-key').expect(403);
+    await put('visuals/key:alice/../key:bob/c.png', 'alice-key').expect(403);
+    await request(app).delete('/blobs/visuals/key:bob/c.png').set('Authorization', 'Bearer alice-key').expect(403);
+    expect(await fs.readFile(path.join(dir, 'visuals/key:bob/c.png'), 'utf8')).toBe('png');
+  });
+});
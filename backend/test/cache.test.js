@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createResultCache, cacheKey } from '../lib/cache.js';
+
+// A value of about `kb` kilobytes, like a cached image data URL
+const blob = (kb) => `data:image/jpeg;base64,${'A'.repeat(kb * 1024)}`;
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('result cache', () => {
+  it('answers a repeated key from the cache', async () => {
+    const cache = createResultCache();
+    const compute = vi.fn(async () => 'enhanced');
+
+    expect(await cache.wrap('k', compute)).toEqual({ value: 'enhanced', cache: 'miss' });
+    expect(await cache.wrap('k', compute)).toEqual({ value: 'enhanced', cache: 'hit' });
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 1 });
+  });
+
+  it('recomputes an entry once it is older than ttlMs', async () => {
+    vi.useFakeTimers();
+    const cache = createResultCache({ ttlMs: 1000 });
+
+    await cache.wrap('k', async () => 'first');
+    vi.advanceTimersByTime(999);
+    expect((await cache.wrap('k', async () => 'second')).value).toBe('first');
+    vi.advanceTimersByTime(1);
+    expect(await cache.wrap('k', async () => 'second')).toEqual({ value: 'second', cache: 'miss' });
+  });
+
+  it('evicts the least recently used entry beyond maxEntries', async () => {
+    const cache = createResultCache({ maxEntries: 2 });
+
+    await cache.wrap('a', async () => 'a');
+    await cache.wrap('b', async () => 'b');
+    await cache.wrap('a', async () => 'a');
+    await cache.wrap('c', async () => 'c');
+
+    expect(cache.stats().memoryEntries).toBe(2);
+    expect((await cache.wrap('a', async () => 'again')).cache).toBe('hit');
+    expect((await cache.wrap('b', async () => 'again')).cache).toBe('miss');
+  });
+
+  it('neither reads nor writes the cache when bypassed', async () => {
+    const cache = createResultCache();
+    await cache.wrap('k', async () => 'cached');
+
+    expect(await cache.wrap('k', async () => 'fresh', { bypass: true })).toEqual({ value: 'fresh', cache: 'bypass' });
+    await cache.wrap('other', async () => 'fresh', { bypass: true });
+    expect((await cache.wrap('other', async () => 'later')).cache).toBe('miss');
+    expect(cache.stats().bypasses).toBe(2);
+  });
+
+  it('passes every call through when disabled', async () => {
+    const cache = createResultCache({ enabled: false });
+    const compute = vi.fn(async () => 'value');
+
+    await cache.wrap('k', compute);
+    expect((await cache.wrap('k', compute)).cache).toBe('bypass');
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not keep values shouldCache rejects', async () => {
+    const cache = createResultCache();
+    const shouldCache = (value) => !value.fallback;
+
+    await cache.wrap('k', async () => ({ fallback: true }), { shouldCache });
+    expect(await cache.wrap('k', async () => ({ fallback: false }), { shouldCache })).toEqual({ value: { fallback: false }, cache: 'miss' });
+  });
+
+  it('keys on content, whatever the order of the inputs', () => {
+    expect(cacheKey('image', { prompt: 'a', seed: 1 })).toBe(cacheKey('image', { seed: 1, prompt: 'a', model: undefined }));
+    expect(cacheKey('image', { prompt: 'a', seed: 1 })).not.toBe(cacheKey('image', { prompt: 'a', seed: 2 }));
+    expect(cacheKey('image', { prompt: 'a' })).not.toBe(cacheKey('enhance', { prompt: 'a' }));
+  });
+});
+
+describe('result cache memory budget', () => {
+  it('evicts the least recently used entries to stay under maxBytes', async () => {
+    const cache = createResultCache({ maxEntries: 100, maxBytes: 25 * 1024 });
+
+    await cache.wrap('a', async () => blob(10));
+    await cache.wrap('b', async () => blob(10));
+    await cache.wrap('a', async () => blob(10));
+    await cache.wrap('c', async () => blob(10));
+
+    const { memoryEntries, memoryBytes } = cache.stats();
+    expect(memoryEntries).toBe(2);
+    expect(memoryBytes).toBeLessThanOrEqual(25 * 1024);
+    expect((await cache.wrap('a', async () => 'recomputed')).cache).toBe('hit');
+    expect((await cache.wrap('b', async () => 'recomputed')).cache).toBe('miss');
+  });
+
+  it('keeps an entry larger than the budget on disk only', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-'));
+    try {
+      const cache = createResultCache({ maxBytes: 5 * 1024, dir });
+      const image = blob(10);
+
+      await cache.wrap('big', async () => image);
+      expect(cache.stats()).toMatchObject({ memoryEntries: 0, memoryBytes: 0 });
+
+      const compute = vi.fn();
+      expect(await cache.wrap('big', compute)).toEqual({ value: image, cache: 'hit' });
+      expect(compute).not.toHaveBeenCalled();
+      expect(cache.stats().memoryEntries).toBe(0);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { loadApp } from './helpers.js';
+import { validateConfig } from '../lib/config.js';
+
+vi.mock('@google/generative-ai', () => import('./fixtures/gemini.js'));
+vi.mock('node-fetch', () => import('./fixtures/huggingface.js'));
+
+// Gemini and HuggingFace with their keys, as in a working backend/.env
+const stubEnv = (env) => {
+  for (const [key, value] of Object.entries({
+    TEXT_PROVIDER: 'gemini', IMAGE_PROVIDER: 'huggingface', GEMINI_API_KEY: 'key', HUGGINGFACE_API_KEY: 'key', ...env,
+  })) {
+    vi.stubEnv(key, value);
+  }
+};
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('validateConfig', () => {
+  it('accepts configured default providers', () => {
+    stubEnv({ PORT: '3000', QUOTA_IMAGES: 'unlimited', CORS_ORIGINS: 'http://localhost:5173' });
+
+    expect(validateConfig()).toEqual([]);
+  });
+
+  it('names the missing Gemini and HuggingFace keys', () => {
+    stubEnv({ GEMINI_API_KEY: '', HUGGINGFACE_API_KEY: '' });
+
+    expect(validateConfig()).toEqual([
+      'TEXT_PROVIDER is "gemini" but GEMINI_API_KEY is not set; add it to backend/.env, or set TEXT_PROVIDER=mock to run offline',
+      'IMAGE_PROVIDER is "huggingface" but HUGGINGFACE_API_KEY is not set; add it to backend/.env, or set IMAGE_PROVIDER=mock to run offline',
+    ]);
+  });
+
+  it('needs no keys for the mock provider', () => {
+    stubEnv({ TEXT_PROVIDER: 'mock', IMAGE_PROVIDER: 'mock', GEMINI_API_KEY: '', HUGGINGFACE_API_KEY: '' });
+
+    expect(validateConfig()).toEqual([]);
+  });
+
+  it('rejects unknown providers and providers without the role', () => {
+    stubEnv({ TEXT_PROVIDER: 'gemeni', IMAGE_PROVIDER: 'gemini' });
+
+    expect(validateConfig()).toEqual([
+      expect.stringMatching(/^TEXT_PROVIDER is "gemeni", which is not a provider; use one of gemini, huggingface/),
+      expect.stringMatching(/^IMAGE_PROVIDER is "gemini", which cannot generate images; use one of huggingface/),
+    ]);
+  });
+
+  it('rejects malformed numbers and origins', () => {
+    stubEnv({ PORT: 'abc', QUOTA_LLM_CALLS: '-1', JOB_CONCURRENCY: '0', CORS_ORIGINS: 'http://localhost:5173, localhost' });
+
+    expect(validateConfig()).toEqual([
+      'PORT is "abc"; expected a whole number of at least 1',
+      'QUOTA_LLM_CALLS is "-1"; expected a whole number of at least 0 or "unlimited"',
+      'JOB_CONCURRENCY is "0"; expected a whole number of at least 1',
+      'CORS_ORIGINS contains "localhost", which is not a URL',
+    ]);
+  });
+});
+
+describe('GET /health', () => {
+  it('reports the configured providers', async () => {
+    const app = await loadApp();
+
+    const res = await request(app).get('/health').expect(200);
+
+    expect(res.body).toMatchObject({ status: 'ok', defaults: { text: 'gemini', image: 'huggingface' }, auth: false });
+    expect(res.body.providers).toContainEqual({ name: 'gemini', text: true, image: false, configured: true, requires: 'GEMINI_API_KEY' });
+    expect(res.body.providers).toContainEqual({ name: 'mock', text: true, image: true, configured: true });
+  });
+
+  it('is degraded while a default provider lacks its key', async () => {
+    const app = await loadApp({ HUGGINGFACE_API_KEY: undefined });
+
+    const res = await request(app).get('/health').expect(200);
+
+    expect(res.body.status).toBe('degraded');
+    expect(res.body.providers).toContainEqual(expect.objectContaining({ name: 'huggingface', configured: false, requires: 'HUGGINGFACE_API_KEY' }));
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { loadApp, readEvents } from './helpers.js';
+import { gemini, replyWith, replyAfter, failWith } from './fixtures/gemini.js';
+
+vi.mock('@google/generative-ai', () => import('./fixtures/gemini.js'));
+vi.mock('node-fetch', () => import('./fixtures/huggingface.js'));
+
+const FLOWCHART = 'graph TD\n  A[Request] --> B[Response]';
+
+let app;
+beforeAll(async () => {
+  app = await loadApp();
+});
+
+beforeEach(() => {
+  gemini.generateContent.mockReset();
+});
+
+describe('POST /generate-diagram', () => {
+  it.each([
+    ['```mermaid fences', `\`\`\`mermaid\n${FLOWCHART}\n\`\`\``],
+    ['bare ``` fences', `\`\`\`\n${FLOWCHART}\n\`\`\``],
+    ['surrounding whitespace', `\n\n${FLOWCHART}\n  `],
+    ['no fences', FLOWCHART],
+  ])('strips %s from the Gemini answer', async (_, answer) => {
+    replyWith(answer);
+
+    const res = await request(app).post('/generate-diagram').send({ prompt: 'request flow', diagramType: 'flowchart' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.mermaidCode).toBe(FLOWCHART);
+    expect(res.body).toMatchObject({ repaired: false, attempts: 0, diagnostics: { valid: true } });
+  });
+
+  it('answers 422 when the diagram does not parse', async () => {
+    replyWith('```mermaid\ngraph TD\n  A[Unclosed --> B\n```');
+
+    const res = await request(app).post('/generate-diagram').send({ prompt: 'request flow' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('Generated diagram failed validation');
+    expect(res.body.details.valid).toBe(false);
+  });
+
+  it('answers 502 and meters a failed call when Gemini fails', async () => {
+    failWith(new Error('fetch failed'));
+
+    const res = await request(app).post('/generate-diagram').send({ prompt: 'request flow' });
+
+    expect(res.status).toBe(502);
+    expect(res.body).toEqual({ error: 'Diagram generation failed', details: 'fetch failed' });
+    const { body: usage } = await request(app).get('/usage');
+    expect(usage.entries.at(-1)).toMatchObject({ route: '/generate-diagram', kind: 'llm', provider: 'gemini', ok: false });
+  });
+});
+
+describe('POST /manifest/stream (diagram)', () => {
+  it('reports a Gemini failure as a diagram error event', async () => {
+    failWith(new Error('fetch failed'));
+
+    const res = await request(app).post('/manifest/stream').send({ prompt: 'request flow', mode: 'diagram' })
+      .buffer(true).parse(readEvents);
+
+    expect(res.body.map(({ event }) => event)).toEqual(['error', 'done']);
+    expect(res.body[0].data).toEqual({ stage: 'diagram', error: 'Diagram generation failed', details: 'fetch failed' });
+  });
+
+  it('streams the raw tokens but sends the stripped code', async () => {
+    replyAfter(20, `\`\`\`mermaid\n${FLOWCHART}\n\`\`\``);
+
+    const res = await request(app).post('/manifest/stream').send({ prompt: 'request flow', mode: 'diagram', diagramType: 'flowchart' })
+      .buffer(true).parse(readEvents);
+
+    const tokens = res.body.filter(({ event }) => event === 'diagram-token').map(({ data }) => data.token).join('');
+    const diagram = res.body.find(({ event }) => event === 'diagram');
+    expect(tokens).toContain('```mermaid');
+    expect(diagram.data.mermaidCode).toBe(FLOWCHART);
+  });
+});
@@ -0,0 +1,21 @@
+const FIRESTORE_API = 'https://firestore.googleapis.com/v1/projects/';
+
+/**
+ * Firestore documents served to the backend's REST reader, by path
+ * (`styles/<id>`), with string fields. Clear it between tests.
+ */
+export const firestoreDocuments = new Map();
+
+const encodeFields = (data) => Object.fromEntries(Object.entries(data).map(([key, value]) => [key, { stringValue: String(value) }]));
+
+/**
+ * Answer `url` when it is a Firestore REST read; null for any other URL
+ */
+export const firestoreReply = (url) => {
+  if (!url.startsWith(FIRESTORE_API)) return null;
+  const path = url.split('/documents/')[1];
+  const data = firestoreDocuments.get(path);
+  return data
+    ? new Response(JSON.stringify({ name: path, fields: encodeFields(data) }), { headers: { 'Content-Type': 'application/json' } })
+    : new Response(JSON.stringify({ error: { code: 404 } }), { status: 404 });
+};
@@ -0,0 +1,37 @@
+import { vi } from 'vitest';
+
+/**
+ * Stand-in for `@google/generative-ai`, installed with
+ * `vi.mock('@google/generative-ai', () => import('./fixtures/gemini.js'))`.
+ * Every model shares `gemini.generateContent`; set its answer per test with
+ * `replyWith`, `replyAfter` or `failWith`.
+ */
+export const gemini = {
+  generateContent: vi.fn(),
+};
+
+export const replyWith = (text) => gemini.generateContent.mockResolvedValue({ response: Promise.resolve({ text: () => text }) });
+
+// Like replyWith, but answers after `delayMs`, as a real provider would
+export const replyAfter = (delayMs, text) => gemini.generateContent.mockImplementation(() => new Promise((resolve) => {
+  setTimeout(() => resolve({ response: Promise.resolve({ text: () => text }) }), delayMs);
+}));
+
+export const failWith = (error) => gemini.generateContent.mockRejectedValue(error);
+
+// The prompt of the `index`th call (default: the latest)
+export const promptSent = (index = -1) => gemini.generateContent.mock.calls.at(index)?.[0];
+
+export class GoogleGenerativeAI {
+  getGenerativeModel() {
+    return {
+      generateContent: (...args) => gemini.generateContent(...args),
+      // Streams the whole answer as one chunk
+      generateContentStream: async (...args) => {
+        const { response } = await gemini.generateContent(...args);
+        const text = (await response).text();
+        return { stream: (async function* () { yield { text: () => text }; })() };
+      },
+    };
+  }
+}
@@ -0,0 +1,34 @@
+import { vi } from 'vitest';
+import { firestoreReply } from './firestore.js';
+
+const HF_ROUTER = 'https://router.huggingface.co/';
+
+/**
+ * Stand-in for `node-fetch` answering the HuggingFace router, installed
+ * with `vi.mock('node-fetch', () => import('./fixtures/huggingface.js'))`.
+ * Set the answer per test with `imageReply` or `errorReply`. Firestore reads
+ * are answered from `firestoreDocuments` (see firestore.js); any other URL
+ * fails the test.
+ */
+export const huggingface = {
+  handler: vi.fn(),
+};
+
+export const imageReply = (bytes = Buffer.from('fake-jpeg'), mimeType = 'image/jpeg') =>
+  huggingface.handler.mockImplementation(async () => new Response(bytes, { headers: { 'Content-Type': mimeType } }));
+
+export const errorReply = (status, body) =>
+  huggingface.handler.mockImplementation(async () => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } }));
+
+// `{ url, headers, body }` of the `index`th call (default: the latest)
+export const requestSent = (index = -1) => {
+  const [url, init] = huggingface.handler.mock.calls.at(index) || [];
+  return url && { url, headers: init.headers, body: JSON.parse(init.body) };
+};
+
+export default async (url, init = {}) => {
+  const firestore = firestoreReply(String(url));
+  if (firestore) return firestore;
+  if (!String(url).startsWith(HF_ROUTER)) throw new Error(`Unexpected request to ${url}`);
+  return huggingface.handler(String(url), init);
+};
@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { loadApp, readEvents } from './helpers.js';
+import { gemini, replyWith, replyAfter, failWith, promptSent } from './fixtures/gemini.js';
+import { huggingface, imageReply, errorReply, requestSent } from './fixtures/huggingface.js';
+
+vi.mock('@google/generative-ai', () => import('./fixtures/gemini.js'));
+vi.mock('node-fetch', () => import('./fixtures/huggingface.js'));
+
+let app;
+beforeAll(async () => {
+  app = await loadApp();
+});
+
+beforeEach(() => {
+  gemini.generateContent.mockReset();
+  huggingface.handler.mockReset();
+});
+
+describe('POST /generate', () => {
+  it('renders the Gemini-enhanced prompt with HuggingFace', async () => {
+    replyWith('A weathered lighthouse on a basalt cliff at dusk');
+    imageReply(Buffer.from('jpeg-bytes'));
+
+    const res = await request(app).post('/generate').send({ prompt: 'a lighthouse', parameters: { seed: 7 } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.enhancedPrompt).toBe('A weathered lighthouse on a basalt cliff at dusk');
+    expect(res.body.enhancement).toMatchObject({ mode: 'enhanced', fallback: false });
+    expect(res.body.image).toBe(`data:image/jpeg;base64,${Buffer.from('jpeg-bytes').toString('base64')}`);
+    expect(res.body).toMatchObject({ provider: 'huggingface', model: 'black-forest-labs/FLUX.1-schnell' });
+
+    const sent = requestSent();
+    expect(sent.url).toBe('https://router.huggingface.co/hf-inference/models/black-forest-labs/FLUX.1-schnell');
+    expect(sent.headers.Authorization).toBe('Bearer test-hf-key');
+    expect(sent.body).toMatchObject({ inputs: 'A weathered lighthouse on a basalt cliff at dusk', parameters: { seed: 7 } });
+  });
+
+  it('delimits the user prompt in the enhancement request', async () => {
+    replyWith('enhanced');
+    imageReply();
+
+    await request(app).post('/generate').send({ prompt: 'a red fox' }).expect(200);
+
+    expect(promptSent()).toContain('<user_input>\na red fox\n</user_input>');
+  });
+
+  it('falls back to a basic enhancement when Gemini fails, and says so', async () => {
+    failWith(new Error('Resource has been exhausted (e.g. check quota).'));
+    imageReply();
+
+    const res = await request(app).post('/generate').send({ prompt: 'a lighthouse', style: 'anime' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.enhancedPrompt).toBe('a lighthouse, anime, high resolution, ultra detailed, cinematic lighting');
+    expect(res.body.enhancement).toMatchObject({
+      mode: 'enhanced', fallback: true, reason: 'Resource has been exhausted (e.g. check quota).',
+    });
+    expect(requestSent().body.inputs).toBe(res.body.enhancedPrompt);
+  });
+
+  it('skips Gemini for raw prompts', async () => {
+    imageReply();
+
+    const res = await request(app).post('/generate').send({ prompt: 'a lighthouse', raw: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.enhancement).toMatchObject({ mode: 'raw', fallback: false });
+    expect(gemini.generateContent).not.toHaveBeenCalled();
+    expect(requestSent().body.inputs).toBe('a lighthouse');
+  });
+
+  it('forwards the HuggingFace status and error payload', async () => {
+    replyWith('enhanced');
+    errorReply(503, { error: 'Model black-forest-labs/FLUX.1-schnell is currently loading', estimated_time: 20 });
+
+    const res = await request(app).post('/generate').send({ prompt: 'a lighthouse' });
+
+    expect(res.status).toBe(503);
+    expect(res.body).toEqual({
+      error: 'HF API failed',
+      details: { error: 'Model black-forest-labs/FLUX.1-schnell is currently loading', estimated_time: 20 },
+    });
+  });
+
+  it('forwards HuggingFace auth failures', async () => {
+    replyWith('enhanced');
+    errorReply(401, { error: 'Invalid credentials in Authorization header' });
+
+    const res = await request(app).post('/generate').send({ prompt: 'a lighthouse' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.details.error).toBe('Invalid credentials in Authorization header');
+  });
+
+  it('rejects parameters the model does not support before calling HuggingFace', async () => {
+    const res = await request(app).post('/generate').send({ prompt: 'a lighthouse', parameters: { steps: 30 } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid image parameters');
+    expect(huggingface.handler).not.toHaveBeenCalled();
+  });
+
+  it('returns parameters that regenerate the image when sent back', async () => {
+    replyWith('a lighthouse, golden hour');
+    imageReply();
+
+    const first = await request(app).post('/generate').send({ prompt: 'a lighthouse', parameters: { aspectRatio: '16:9' } });
+    expect(first.body.parameters).toEqual({ width: 1344, height: 768, seed: expect.any(Number) });
+
+    const again = await request(app).post('/generate').send({ prompt: 'a lighthouse', parameters: first.body.parameters });
+    expect(again.status).toBe(200);
+    expect(again.body.parameters).toEqual(first.body.parameters);
+
+    const refined = await request(app).post('/refine')
+      .send({ instruction: 'warmer light', enhancedPrompt: first.body.enhancedPrompt, parameters: first.body.parameters });
+    expect(refined.status).toBe(200);
+    expect(refined.body.parameters).toEqual(first.body.parameters);
+    expect(requestSent().body.parameters).toMatchObject({ width: 1344, height: 768, seed: first.body.parameters.seed });
+  });
+
+  it('requires a prompt', async () => {
+    const res = await request(app).post('/generate').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Prompt is required');
+  });
+});
+
+describe('POST /manifest/stream', () => {
+  it('streams every stage when the providers take a while to answer', async () => {
+    replyAfter(20, 'enhanced');
+    imageReply(Buffer.from('jpeg-bytes'));
+
+    const res = await request(app).post('/manifest/stream').send({ prompt: 'a lighthouse', mode: 'image', parameters: { seed: 7 } })
+      .buffer(true).parse(readEvents);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(({ event }) => event)).toEqual(['enhanced', 'image-queued', 'image', 'done']);
+    expect(res.body[2].data.image).toBe(`data:image/jpeg;base64,${Buffer.from('jpeg-bytes').toString('base64')}`);
+  });
+
+  it('reports a HuggingFace failure as an image error event', async () => {
+    replyWith('enhanced');
+    errorReply(429, { error: 'Rate limit reached' });
+
+    const res = await request(app).post('/manifest/stream').send({ prompt: 'a lighthouse', mode: 'image' })
+      .buffer(true).parse(readEvents);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(({ event }) => event)).toEqual(['enhanced', 'image-queued', 'error', 'done']);
+    expect(res.body[2].data).toEqual({ stage: 'image', error: 'HF API failed', details: { error: 'Rate limit reached' } });
+  });
+});
+
+describe('POST /jobs', () => {
+  it('renders an image job with an aspect ratio', async () => {
+    replyWith('a lighthouse, golden hour');
+    imageReply();
+
+    const created = await request(app).post('/jobs').send({ prompt: 'a lighthouse', parameters: { aspectRatio: '16:9' } });
+    expect(created.status).toBe(202);
+
+    let job;
+    await vi.waitFor(async () => {
+      job = (await request(app).get(`/jobs/${created.body.id}`)).body;
+      expect(job.status).toBe('completed');
+    });
+    expect(job.result.parameters).toEqual({ width: 1344, height: 768, seed: job.payload.parameters.seed });
+  });
+
+  it('caches job images only when the caller fixed the seed', async () => {
+    const cachingApp = await loadApp({ CACHE: 'on' });
+    replyWith('a lighthouse, golden hour');
+    imageReply();
+
+    const imageCacheOf = async (parameters) => {
+      const { body: { id } } = await request(cachingApp).post('/jobs').send({ prompt: 'a lighthouse', parameters });
+      let job;
+      await vi.waitFor(async () => {
+        job = (await request(cachingApp).get(`/jobs/${id}`)).body;
+        expect(job.status).toBe('completed');
+      });
+      return job.result.cache.images;
+    };
+
+    expect(await imageCacheOf({})).toBe('off');
+    expect(await imageCacheOf({ seed: 7 })).toBe('miss');
+    expect(await imageCacheOf({ seed: 7 })).toBe('hit');
+  });
+});
@@ -0,0 +1,48 @@
+// Gemini for text, HF for images, no auth, no cache and no repair round trips
+const BASE_ENV = {
+  TEXT_PROVIDER: 'gemini',
+  IMAGE_PROVIDER: 'huggingface',
+  GEMINI_API_KEY: 'test-gemini-key',
+  HUGGINGFACE_API_KEY: 'test-hf-key',
+  CACHE: 'off',
+  MERMAID_REPAIR_ATTEMPTS: '0',
+  API_KEYS: undefined,
+  FIREBASE_PROJECT_ID: undefined,
+  FIREBASE_AUTH_EMULATOR_HOST: undefined,
+  USAGE_LOG: undefined,
+  CACHE_DIR: undefined,
+  RATE_LIMIT_MAX: undefined,
+  QUOTA_LLM_CALLS: 'unlimited',
+  QUOTA_IMAGES: 'unlimited',
+};
+
+let instances = 0;
+
+/**
+ * A fresh instance of the Express app, configured with the test defaults
+ * plus `env` (`undefined` unsets a variable). The app reads its
+ * configuration at import, so every call imports app.js anew; the modules
+ * it uses, and the fixtures mocking them, stay shared.
+ */
+export const loadApp = async (env = {}) => {
+  for (const [key, value] of Object.entries({ ...BASE_ENV, ...env })) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  const { default: app } = await import(/* @vite-ignore */ `../app.js?instance=${++instances}`);
+  return app;
+};
+
+/**
+ * Collect a Server-Sent Events response as `[{ event, data }]`; use with
+ * supertest's `.buffer(true).parse(readEvents)`
+ */
+export const readEvents = (res, callback) => {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => { text += chunk; });
+  res.on('end', () => callback(null, text.split('\n\n').filter(Boolean).map((message) => ({
+    event: message.match(/^event: (.*)$/m)?.[1],
+    data: JSON.parse(message.match(/^data: (.*)$/m)?.[1] || '{}'),
+  }))));
+};
@@ -0,0 +1,120 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createJobQueue } from '../lib/jobs/queue.js';
+
+// A promise the test settles by hand, to hold a handler between steps
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+};
+
+const failing = (status, message = `upstream ${status}`) => Object.assign(new Error(message), { status });
+
+const statusOf = async (jobs, id) => (await jobs.get(id)).status;
+
+describe('job queue', () => {
+  it('runs a job to completion', async () => {
+    const jobs = createJobQueue();
+    jobs.register('echo', async (payload) => ({ echoed: payload.text }));
+
+    const { id } = await jobs.enqueue('echo', { text: 'hi' });
+
+    await vi.waitFor(async () => expect(await statusOf(jobs, id)).toBe('completed'));
+    expect((await jobs.get(id)).result).toEqual({ echoed: 'hi' });
+  });
+
+  it('retries 429/503 with backoff and records the attempts', async () => {
+    const jobs = createJobQueue({ baseDelayMs: 1, maxDelayMs: 1 });
+    const call = vi.fn()
+      .mockRejectedValueOnce(failing(503, 'Model is loading'))
+      .mockRejectedValueOnce(failing(429))
+      .mockResolvedValue('image');
+    jobs.register('image', (payload, { retry }) => retry(call));
+
+    const { id } = await jobs.enqueue('image', {});
+
+    await vi.waitFor(async () => expect(await statusOf(jobs, id)).toBe('completed'));
+    expect(call).toHaveBeenCalledTimes(3);
+    expect(await jobs.get(id)).toMatchObject({ attempts: 3, lastError: 'upstream 429', result: 'image' });
+  });
+
+  it('fails without retrying other errors', async () => {
+    const jobs = createJobQueue({ baseDelayMs: 1 });
+    const call = vi.fn().mockRejectedValue(failing(400, 'Invalid image parameters'));
+    jobs.register('image', (payload, { retry }) => retry(call));
+
+    const { id } = await jobs.enqueue('image', {});
+
+    await vi.waitFor(async () => expect(await statusOf(jobs, id)).toBe('failed'));
+    expect(call).toHaveBeenCalledTimes(1);
+    expect((await jobs.get(id)).error).toMatchObject({ message: 'Invalid image parameters', status: 400 });
+  });
+
+  it('gives up after `retries` extra attempts', async () => {
+    const jobs = createJobQueue({ retries: 2, baseDelayMs: 1, maxDelayMs: 1 });
+    const call = vi.fn().mockRejectedValue(failing(503));
+    jobs.register('image', (payload, { retry }) => retry(call));
+
+    const { id } = await jobs.enqueue('image', {});
+
+    await vi.waitFor(async () => expect(await statusOf(jobs, id)).toBe('failed'));
+    expect(call).toHaveBeenCalledTimes(3);
+  });
+
+  it('stays cancelled when cancelled between two steps of the handler', async () => {
+    const jobs = createJobQueue();
+    const firstStep = deferred();
+    const secondStep = vi.fn(async () => 'image');
+    let finished;
+    jobs.register('image', async (payload, { retry }) => {
+      try {
+        await firstStep.promise;
+        return await retry(secondStep);
+      } finally {
+        finished = true;
+      }
+    });
+
+    const { id } = await jobs.enqueue('image', {});
+    await vi.waitFor(async () => expect(await statusOf(jobs, id)).toBe('running'));
+    await jobs.cancel(id);
+    firstStep.resolve();
+
+    await vi.waitFor(() => expect(finished).toBe(true));
+    expect(secondStep).not.toHaveBeenCalled();
+    expect(await jobs.get(id)).toMatchObject({ status: 'cancelled', result: null });
+  });
+
+  it('stops waiting for a retry when cancelled', async () => {
+    const jobs = createJobQueue({ baseDelayMs: 60000, maxDelayMs: 60000 });
+    const call = vi.fn().mockRejectedValue(failing(503));
+    jobs.register('image', (payload, { retry }) => retry(call));
+
+    const { id } = await jobs.enqueue('image', {});
+    await vi.waitFor(async () => expect(await statusOf(jobs, id)).toBe('retrying'));
+    await jobs.cancel(id);
+
+    // The queue is free again, so the next job runs
+    jobs.register('echo', async () => 'ok');
+    const next = await jobs.enqueue('echo', {});
+    await vi.waitFor(async () => expect(await statusOf(jobs, next.id)).toBe('completed'));
+    expect(call).toHaveBeenCalledTimes(1);
+    expect(await statusOf(jobs, id)).toBe('cancelled');
+  });
+
+  it('drops a queued job that is cancelled before it starts', async () => {
+    const jobs = createJobQueue({ concurrency: 1 });
+    const blocker = deferred();
+    const handler = vi.fn(() => blocker.promise);
+    jobs.register('slow', handler);
+
+    const first = await jobs.enqueue('slow', {});
+    const second = await jobs.enqueue('slow', {});
+    await jobs.cancel(second.id);
+    blocker.resolve('done');
+
+    await vi.waitFor(async () => expect(await statusOf(jobs, first.id)).toBe('completed'));
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(await statusOf(jobs, second.id)).toBe('cancelled');
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCsv, slugify, loadPromptFile } from '../cli/promptFile.js';
+
+// Write `text` to a temporary `name` and resolve to loadPromptFile's entries
+const loadFrom = async (name, text) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompts-'));
+  try {
+    await fs.writeFile(path.join(dir, name), text);
+    return await loadPromptFile(path.join(dir, name));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    expect(parseCsv('prompt,seed\na castle,42\na lake,7')).toEqual([['prompt', 'seed'], ['a castle', '42'], ['a lake', '7']]);
+  });
+
+  it('keeps commas, doubled quotes and line breaks inside quoted fields', () => {
+    expect(parseCsv('"a castle, at dawn","say ""cheese""","two\nlines"\n')).toEqual([['a castle, at dawn', 'say "cheese"', 'two\nlines']]);
+  });
+
+  it('accepts CRLF line endings and skips blank rows', () => {
+    expect(parseCsv('prompt\r\n\r\na castle\r\n , \r\na lake')).toEqual([['prompt'], ['a castle'], ['a lake']]);
+  });
+
+  it('keeps empty fields', () => {
+    expect(parseCsv('a,,c\n,b,')).toEqual([['a', '', 'c'], ['', 'b', '']]);
+  });
+});
+
+describe('slugify', () => {
+  it('turns a prompt into a file name', () => {
+    expect(slugify('A castle in the clouds!')).toBe('a-castle-in-the-clouds');
+    expect(slugify('  --Crème brûlée--  ')).toBe('creme-brulee');
+  });
+
+  it('caps slugs at 60 characters', () => {
+    expect(slugify('word '.repeat(30))).toHaveLength(60);
+  });
+
+  it('falls back to "entry" when nothing is left', () => {
+    expect(slugify('!!!')).toBe('entry');
+    expect(slugify()).toBe('entry');
+  });
+});
+
+describe('loadPromptFile', () => {
+  it('reads CSV columns into entries with parameters', async () => {
+    const entries = await loadFrom('prompts.csv', 'prompt,type,count,seed,steps\n"a castle, at dawn",image,2,42,4\na flow chart,diagram,,,\n');
+
+    expect(entries).toEqual([
+      { prompt: 'a castle, at dawn', type: 'image', count: 2, parameters: { seed: '42', steps: '4' }, slug: 'a-castle-at-dawn' },
+      { prompt: 'a flow chart', type: 'diagram', slug: 'a-flow-chart' },
+    ]);
+  });
+
+  it('gives repeated prompts distinct slugs', async () => {
+    const entries = await loadFrom('prompts.yaml', '- a castle\n- a castle\n- prompt: a castle\n  type: image\n');
+
+    expect(entries.map((entry) => entry.slug)).toEqual(['a-castle', 'a-castle-2', 'a-castle-3']);
+    expect(entries.map((entry) => entry.type)).toEqual(['both', 'both', 'image']);
+  });
+
+  it('names the entry that is invalid', async () => {
+    await expect(loadFrom('prompts.json', JSON.stringify({ entries: ['a castle', { type: 'image' }] }))).rejects.toThrow(/entry 2 has no prompt$/);
+    await expect(loadFrom('prompts.csv', 'title\na castle\n')).rejects.toThrow('the CSV header needs a "prompt" column');
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { loadApp } from './helpers.js';
+import { replyWith } from './fixtures/gemini.js';
+import { huggingface, imageReply } from './fixtures/huggingface.js';
+
+vi.mock('@google/generative-ai', () => import('./fixtures/gemini.js'));
+vi.mock('node-fetch', () => import('./fixtures/huggingface.js'));
+
+beforeEach(() => {
+  huggingface.handler.mockReset();
+  replyWith('enhanced');
+  imageReply();
+});
+
+describe('per-IP rate limit', () => {
+  it('answers 429 once RATE_LIMIT_MAX requests are used up', async () => {
+    const app = await loadApp({ RATE_LIMIT_MAX: '2', RATE_LIMIT_WINDOW_MS: '60000' });
+
+    await request(app).get('/').expect(200);
+    await request(app).get('/').expect(200);
+    const res = await request(app).post('/generate').send({ prompt: 'a lighthouse' });
+
+    expect(res.status).toBe(429);
+    expect(res.body.error).toBe('Too many requests from this IP, please try again after 1 minutes');
+    expect(res.headers['ratelimit-limit'] ?? res.headers['x-ratelimit-limit']).toBe('2');
+    expect(huggingface.handler).not.toHaveBeenCalled();
+  });
+});
+
+describe('per-user quotas', () => {
+  it('answers 429 with the quota details when the image quota is spent', async () => {
+    const app = await loadApp({ QUOTA_IMAGES: '2' });
+
+    await request(app).post('/generate').send({ prompt: 'a lighthouse', count: 2 }).expect(200);
+    const res = await request(app).post('/generate').send({ prompt: 'a lighthouse' });
+
+    expect(res.status).toBe(429);
+    expect(res.body.error).toBe('Image quota exceeded');
+    expect(res.body.details).toMatchObject({ kind: 'image', limit: 2, used: 2 });
+    expect(Date.parse(res.body.details.resetAt)).toBeGreaterThan(Date.now());
+    expect(huggingface.handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('charges nothing for a request the quota refuses', async () => {
+    const app = await loadApp({ QUOTA_IMAGES: '1' });
+
+    await request(app).post('/generate').send({ prompt: 'a lighthouse', count: 2 }).expect(429);
+    await request(app).post('/generate').send({ prompt: 'a lighthouse' }).expect(200);
+  });
+
+  it.each([
+    ['/generate', { prompt: 'a lighthouse', count: 9 }],
+    ['/generate', { prompt: 'a lighthouse', parameters: { steps: 500 } }],
+    ['/jobs', { prompt: 'a lighthouse', parameters: { steps: 500 } }],
+    ['/manifest/stream', { prompt: 'a lighthouse', mode: 'image', count: 0 }],
+    ['/refine', { instruction: 'warmer', enhancedPrompt: 'a lighthouse', parameters: { steps: 500 } }],
+  ])('charges nothing for an invalid request to %s', async (route, body) => {
+    const app = await loadApp({ QUOTA_IMAGES: '1', QUOTA_LLM_CALLS: '1' });
+
+    await request(app).post(route).send(body).expect(400);
+    await request(app).post('/generate').send({ prompt: 'a lighthouse' }).expect(200);
+  });
+
+  it('charges nothing when the image provider is not configured', async () => {
+    const app = await loadApp({ QUOTA_IMAGES: '1', HUGGINGFACE_API_KEY: undefined });
+
+    const res = await request(app).post('/generate').send({ prompt: 'a lighthouse' });
+    process.env.HUGGINGFACE_API_KEY = 'test-hf-key';
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('Image provider "huggingface" is not configured');
+    await request(app).post('/generate').send({ prompt: 'a lighthouse' }).expect(200);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { readEvents } from './helpers.js';
+import { openEventStream } from '../lib/sse.js';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A JSON route that opens the stream right away and sends once `delayMs` has passed
+const streamingApp = (delayMs) => express().use(express.json()).post('/stream', async (req, res) => {
+  const stream = openEventStream(res);
+  await wait(delayMs);
+  stream.send('tick', { n: 1 });
+  stream.close();
+});
+
+describe('openEventStream', () => {
+  it('keeps sending after the request body has been read', async () => {
+    const res = await request(streamingApp(20)).post('/stream').send({ prompt: 'a lighthouse' })
+      .buffer(true).parse(readEvents);
+
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(res.body).toEqual([{ event: 'tick', data: { n: 1 } }]);
+  });
+
+  it('stops sending once the client disconnects', async () => {
+    let stream;
+    const app = express().get('/stream', (req, res) => {
+      stream = openEventStream(res);
+    });
+    const server = app.listen(0);
+    try {
+      const controller = new AbortController();
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/stream`, { signal: controller.signal });
+      expect(response.status).toBe(200);
+      controller.abort();
+
+      await expect.poll(() => stream.closed).toBe(true);
+      stream.send('tick');
+      stream.close();
+    } finally {
+      server.close();
+    }
+  });
+});
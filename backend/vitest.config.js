@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    include: ['test/**/*.test.js'],
+    // The first Mermaid parse loads mermaid and jsdom
+    testTimeout: 30000,
+  },
+});
@@ -1,20 +1,50 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
 import mermaid from 'mermaid';
 import { db } from './firebase';
-import { collection, addDoc, query, orderBy, getDocs, serverTimestamp, deleteDoc, doc } from 'firebase/firestore';
+import { streamEvents } from './stream';
+import MermaidEditor from './MermaidEditor';
+import { EMPTY_STYLE, listStyles, getStyle, saveStyle, deleteStyle, styleShareUrl } from './styles';
+import { watchAuth, authHeaders, signIn, signUp, signInAsGuest, signOutUser, displayNameOf, describeAuthError } from './auth';
+import { API_BASE_URL } from './config';
+import { THEMED_BACKGROUND, downloadBlob, serializeSvg, svgToPng, renderOnServer } from './diagramExport';
+import { embedMetadata, imageToPng, readManifestFile } from './provenance';
+import { exportPackage, fetchAllHistory, importPackage } from './packages';
+import { SHARE_EXPIRY_OPTIONS, shareUrl, isShareActive, createShare, listShares, revokeShare } from './shares';
+import { archiveImage, removeArchivedImage, migrateInlineImages } from './blobStore';
+import {
+  HISTORY_PAGE_SIZE, SORT_OPTIONS, DEFAULT_HISTORY_FILTERS, buildSearchFields, filtersFromSearch, filtersToSearch,
+  fetchHistoryPage, backfillSearchFields
+} from './history';
+import { collection, addDoc, serverTimestamp, deleteDoc, doc } from 'firebase/firestore';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   Download, Plus, Sparkles, Image as ImageIcon, Loader2, AlertCircle,
   ChevronDown, Check, GitBranch, Terminal, History, Cloud, Clock,
-  Trash2, ExternalLink, Zap, Palette, Layers, MousePointer2, User
+  Trash2, ExternalLink, Zap, Palette, Layers, MousePointer2, User, Send,
+  SlidersHorizontal, Dices, RefreshCw, Search, Filter, X, LogOut, LogIn, Lock, Pencil, Link2, Upload, Package
 } from 'lucide-react';
 
-const API_BASE_URL = 'http://localhost:5000';
-
 // Helper components for better organization
 const Camera = ({ size }) => <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M14.5 4h-5L7 7H4a2 2 0 0 0-2 2v9a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2V9a2 2 0 0 0-2-2h-3l-2.5-3z" /><circle cx="12" cy="13" r="3" /></svg>;
 
+const RetryNotice = ({ message, onRetry }) => (
+  <div className="bg-red-500/10 border border-red-500/20 p-5 rounded-2xl flex items-center gap-4 text-red-200">
+    <div className="p-2 bg-red-500/20 rounded-lg"><AlertCircle size={18} /></div>
+    <p className="text-sm font-medium flex-1">{message}</p>
+    <button onClick={onRetry} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-white/5 border border-white/10 text-[10px] font-black uppercase tracking-widest hover:bg-white/10 transition-all">
+      <RefreshCw size={14} /> Retry
+    </button>
+  </div>
+);
+
+// The text provider failed and the prompt only got the basic enhancement
+const EnhancementFallback = ({ reason }) => (
+  <span title={reason} className="inline-flex items-center gap-2 px-3 py-1 rounded-full bg-amber-500/10 border border-amber-500/20 text-[10px] font-bold text-amber-200 uppercase tracking-widest">
+    <AlertCircle size={12} /> Basic enhancement (text model unavailable)
+  </span>
+);
+
 const STYLES = [
   { id: 'realistic', name: 'Realistic', icon: <Camera size={14} /> },
   { id: 'anime', name: 'Anime', icon: <Palette size={14} /> },
@@ -22,6 +52,94 @@ const STYLES = [
   { id: '3d render', name: '3D Render', icon: <Zap size={14} /> }
 ];
 
+const ASPECT_RATIOS = ['1:1', '16:9', '9:16', '4:3', '3:4', '3:2', '2:3'];
+
+const DEFAULT_IMAGE_PARAMS = { aspectRatio: '1:1', seed: '', steps: '', guidance: '', negativePrompt: '' };
+
+// A chosen aspect ratio replaces the size a reopened entry was rendered at
+const withAspectRatio = (params, aspectRatio) => ({ ...params, aspectRatio, width: '', height: '' });
+
+// The parameters an entry was rendered with, ready to send back. Entries
+// saved by earlier versions keep the aspect ratio next to the size it
+// resolved to, and the backend refuses the two together.
+const savedImageParameters = (parameters) => parameters?.width === undefined
+  ? parameters
+  : Object.fromEntries(Object.entries(parameters).filter(([key]) => key !== 'aspectRatio'));
+
+// auto: enhance and generate in one go; review: edit the enhanced prompt first; raw: skip enhancement
+const ENHANCE_MODES = [
+  { id: 'auto', name: 'Auto Polish' },
+  { id: 'review', name: 'Review First' },
+  { id: 'raw', name: 'Raw Prompt' }
+];
+const ENHANCE_INTENSITIES = ['light', 'medium', 'strong'];
+const ENHANCE_TEMPLATES = ['cinematic', 'photographic', 'illustration', 'technical'];
+
+const PROMPT_LABELS = { enhanced: 'Neural Polish', provided: 'Reviewed Prompt', raw: 'Raw Prompt', refined: 'Refined Prompt' };
+
+// Drop empty controls so the backend falls back to the model's defaults
+const buildImageParameters = (params) => Object.fromEntries(
+  Object.entries(params)
+    .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    .map(([key, value]) => [key, ['seed', 'steps', 'guidance'].includes(key) ? Number(value) : value])
+);
+
+// Which part of the request the moderation stage objected to
+const MODERATED_FIELDS = {
+  prompt: 'prompt', enhancedPrompt: 'reviewed prompt', instruction: 'refinement instruction', negativePrompt: 'negative prompt',
+  style: 'style', 'style.name': 'style preset', 'style.promptSuffix': 'style preset', 'style.referenceExample': 'style preset'
+};
+
+// Explanations for the backend's moderation codes
+const MODERATION_MESSAGES = {
+  PROMPT_BLOCKED: ({ field, category }) => `Your ${field} contains terms that aren't allowed${category ? ` (${category})` : ''}. Rephrase it and try again.`,
+  PROMPT_INJECTION: ({ field }) => `Your ${field} reads like instructions to the AI rather than a description. Describe what you want to see instead.`,
+  PROMPT_FLAGGED: ({ field, category, reason }) => `The safety check declined your ${field}${category ? ` (${category})` : ''}${reason ? `: ${reason}` : '.'}`,
+  MODERATION_UNAVAILABLE: () => 'The safety check is unavailable right now, so generation is paused. Try again in a moment.'
+};
+
+// A prompt the moderation stage refused; retrying it unchanged won't help
+const isBlockedPrompt = (err) => ['PROMPT_BLOCKED', 'PROMPT_INJECTION', 'PROMPT_FLAGGED'].includes(err.response?.data?.code);
+
+// Surface the backend's validation messages when there are any
+const describeApiError = (err, fallback) => {
+  const data = err.response?.data;
+  if (MODERATION_MESSAGES[data?.code]) {
+    return MODERATION_MESSAGES[data.code]({ ...data.details, field: MODERATED_FIELDS[data.details?.field] || 'prompt' });
+  }
+  if (data?.details?.errors?.length) return `${data.error}: ${data.details.errors.join('; ')}`;
+  if (err.response?.status === 401) return 'Sign in to use the generation backend.';
+  if (err.response?.status === 429 && data?.details?.resetAt) {
+    return `${data.error}. It resets ${new Date(data.details.resetAt).toLocaleString()}.`;
+  }
+  return data?.error || fallback;
+};
+
+const STREAM_STAGES = [
+  { event: 'enhanced', side: 'image', label: 'Prompt Enhanced' },
+  { event: 'image-queued', side: 'image', label: 'Image Queued' },
+  { event: 'image', side: 'image', label: 'Image Rendered' },
+  { event: 'diagram', side: 'diagram', label: 'Diagram Ready' }
+];
+
+const MODES = [
+  { id: 'both', name: 'Dual Synthesis' },
+  { id: 'image', name: 'Image Only' },
+  { id: 'diagram', name: 'Diagram Only' }
+];
+
+const DIAGRAM_TYPES = [
+  { id: 'auto', name: 'Auto-Detect' },
+  { id: 'flowchart', name: 'Flowchart' },
+  { id: 'sequence', name: 'Sequence' },
+  { id: 'class', name: 'Class' },
+  { id: 'state', name: 'State' },
+  { id: 'er', name: 'Entity Relationship' },
+  { id: 'gantt', name: 'Gantt' },
+  { id: 'mindmap', name: 'Mindmap' },
+  { id: 'timeline', name: 'Timeline' }
+];
+
 mermaid.initialize({
   startOnLoad: false,
   theme: 'dark',
@@ -30,24 +148,109 @@ mermaid.initialize({
 });
 
 function App() {
-  const [activeTab, setActiveTab] = useState('manifest');
+  const [activeTab, setActiveTab] = useState(() => new URLSearchParams(window.location.search).get('tab') || 'manifest');
   const [prompt, setPrompt] = useState('');
   const [style, setStyle] = useState(STYLES[0].id);
-  const [loading, setLoading] = useState(false);
+  const [imageParams, setImageParams] = useState(DEFAULT_IMAGE_PARAMS);
+  const [imageParameters, setImageParameters] = useState(null);
+  const [imageCount, setImageCount] = useState(1);
+  const [variations, setVariations] = useState([]);
+  const [isAdvancedOpen, setIsAdvancedOpen] = useState(false);
+  const [mode, setMode] = useState('both');
+  const [imageLoading, setImageLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [image, setImage] = useState(null);
   const [enhancedPrompt, setEnhancedPrompt] = useState('');
+  const [enhanceMode, setEnhanceMode] = useState('auto');
+  const [intensity, setIntensity] = useState('strong');
+  const [template, setTemplate] = useState('cinematic');
+  const [promptDraft, setPromptDraft] = useState('');
+  const [enhancing, setEnhancing] = useState(false);
+  const [enhancementInfo, setEnhancementInfo] = useState(null);
+  const [imageSource, setImageSource] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
   const [mermaidCode, setMermaidCode] = useState('');
+  const [diagramType, setDiagramType] = useState('flowchart');
+  const [diagramLoading, setDiagramLoading] = useState(false);
+  const [diagramRepaired, setDiagramRepaired] = useState(false);
+  const [diagramRenderError, setDiagramRenderError] = useState(null);
+  const [imageError, setImageError] = useState(null);
+  const [diagramError, setDiagramError] = useState(null);
+  const [streamingDiagram, setStreamingDiagram] = useState('');
+  const [progress, setProgress] = useState({});
   const [error, setError] = useState(null);
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
+  const [customStyles, setCustomStyles] = useState([]);
+  const [styleDraft, setStyleDraft] = useState(null);
+  const [styleSaving, setStyleSaving] = useState(false);
+  const [copiedStyleId, setCopiedStyleId] = useState(null);
+  const [exportBackground, setExportBackground] = useState('transparent');
+  const [exporting, setExporting] = useState(null);
+  const [isEditorOpen, setIsEditorOpen] = useState(false);
   const mermaidRef = useRef(null);
 
+  // Refinement State: every manifestation keeps its own turn history
+  const [turns, setTurns] = useState([]);
+  const [turnIndex, setTurnIndex] = useState(0);
+  const [refineInstruction, setRefineInstruction] = useState('');
+  const [refineTarget, setRefineTarget] = useState('both');
+  const [refining, setRefining] = useState(false);
+
   // History State
   const [historyItems, setHistoryItems] = useState([]);
   const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyCursor, setHistoryCursor] = useState(null);
+  const [historyHasMore, setHistoryHasMore] = useState(false);
+  const [historyFilters, setHistoryFilters] = useState(() => filtersFromSearch(window.location.search));
+  const [searchInput, setSearchInput] = useState(historyFilters.q);
+  const historySentinelRef = useRef(null);
   const [isSaved, setIsSaved] = useState(false);
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [archivistName, setArchivistName] = useState('');
+  const [migration, setMigration] = useState(null);
+  const [packageTask, setPackageTask] = useState(null);
+  const [shareTarget, setShareTarget] = useState(null);
+  const [shareLinks, setShareLinks] = useState([]);
+  const [shareExpiry, setShareExpiry] = useState(null);
+  const [shareBusy, setShareBusy] = useState(false);
+  const [copiedShareId, setCopiedShareId] = useState(null);
+
+  // Account State
+  const [user, setUser] = useState(null);
+  const [authReady, setAuthReady] = useState(false);
+  const [authMode, setAuthMode] = useState('signin');
+  const [authForm, setAuthForm] = useState({ displayName: '', email: '', password: '' });
+  const [authError, setAuthError] = useState(null);
+  const [authBusy, setAuthBusy] = useState(false);
+  const [saveAfterAuth, setSaveAfterAuth] = useState(false);
+
+  useEffect(() => watchAuth((current) => {
+    setUser(current);
+    setAuthReady(true);
+  }), []);
+
+  // Custom style presets: the user's own, shared ones, and one opened from a share link
+  useEffect(() => {
+    if (!authReady) return;
+    const sharedId = new URLSearchParams(window.location.search).get('styleId');
+    (async () => {
+      try {
+        const presets = await listStyles(user?.uid);
+        const linked = sharedId && !presets.some(p => p.id === sharedId) ? await getStyle(sharedId) : null;
+        setCustomStyles(linked ? [...presets, linked] : presets);
+        if (sharedId && (linked || presets.some(p => p.id === sharedId))) setStyle(sharedId);
+      } catch (err) {
+        console.error("Fetch Styles Error:", err);
+      }
+    })();
+  }, [authReady, user?.uid]);
+
+  // The diagram container can mount after mermaidCode arrives (the loader
+  // animates out first), so mounting it triggers a render too
+  const [diagramContainer, setDiagramContainer] = useState(null);
+  const attachDiagramContainer = useCallback((node) => {
+    mermaidRef.current = node;
+    setDiagramContainer(node);
+  }, []);
 
   useEffect(() => {
     if (mermaidCode && mermaidRef.current) {
@@ -56,85 +259,485 @@ function App() {
         if (mermaidRef.current) {
           mermaidRef.current.innerHTML = svg;
         }
+        setDiagramRenderError(null);
       }).catch(err => {
         console.error('Mermaid Render Error:', err);
+        setDiagramRenderError(err.message || 'Diagram could not be rendered.');
       });
     }
+  }, [mermaidCode, activeTab, diagramContainer]);
 
-    if (activeTab === 'history') {
-      fetchHistory();
+  // Loads the first page of the current filters, or the page after `cursor`
+  const fetchHistory = useCallback(async (cursor = null) => {
+    // "My Vault" needs an account; the crypt shows a sign-in prompt instead
+    if (historyFilters.mine && !user?.uid) {
+      setHistoryItems([]);
+      setHistoryHasMore(false);
+      return;
     }
-  }, [mermaidCode, activeTab]);
 
-  const fetchHistory = async () => {
     setHistoryLoading(true);
     try {
-      const q = query(collection(db, "visuals"), orderBy("createdAt", "desc"));
-      const querySnapshot = await getDocs(q);
-      const items = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setHistoryItems(items);
+      const page = await fetchHistoryPage(historyFilters, { cursor, ownerId: user?.uid });
+      setHistoryItems(items => cursor ? [...items, ...page.items] : page.items);
+      setHistoryCursor(page.cursor);
+      setHistoryHasMore(page.hasMore);
     } catch (err) {
       console.error("Fetch History Error:", err);
       setError("Failed to load history.");
     } finally {
       setHistoryLoading(false);
     }
+  }, [historyFilters, user?.uid]);
+
+  // Active tab and history filters live in the URL so a filtered view can be bookmarked
+  useEffect(() => {
+    const search = filtersToSearch(historyFilters, window.location.search);
+    const params = new URLSearchParams(search);
+    if (activeTab === 'history') params.set('tab', 'history');
+    else params.delete('tab');
+    const next = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${next ? `?${next}` : ''}`);
+
+    if (activeTab === 'history' && authReady) {
+      fetchHistory();
+    }
+  }, [activeTab, historyFilters, authReady, fetchHistory]);
+
+  // Search is applied once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setHistoryFilters(filters => filters.q === searchInput.trim() ? filters : { ...filters, q: searchInput.trim() });
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // Infinite scroll: load the next page when the sentinel below the grid comes into view
+  useEffect(() => {
+    const sentinel = historySentinelRef.current;
+    if (!sentinel || !historyHasMore || historyLoading) return;
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) fetchHistory(historyCursor);
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [historyHasMore, historyLoading, historyCursor, fetchHistory]);
+
+  // Image side: enhancement plus every requested variation. Resolves to the
+  // stage's results or throws after recording the failure in imageError.
+  const runImage = async () => {
+    setImageLoading(true);
+    setImageError(null);
+    setImage(null);
+    setImageParameters(null);
+    setVariations([]);
+    setEnhancedPrompt('');
+    setEnhancementInfo(null);
+    setProgress((p) => ({ ...p, enhanced: false, 'image-queued': false, image: false }));
+
+    const result = {};
+    let failure = null;
+    try {
+      const parameters = buildImageParameters(imageParams);
+      await streamEvents(`${API_BASE_URL}/manifest/stream`, { prompt, ...styleRequest(), ...enhancementRequest(), parameters, count: imageCount, mode: 'image' }, (event, data) => {
+        switch (event) {
+          case 'enhanced':
+            result.enhancedPrompt = data.enhancedPrompt;
+            result.enhancement = data.enhancement;
+            setEnhancedPrompt(data.enhancedPrompt);
+            setEnhancementInfo(data.enhancement);
+            break;
+          case 'image':
+            result.variations = [...(result.variations || [])];
+            result.variations[data.index] = { image: data.image, parameters: data.parameters };
+            setVariations(result.variations);
+            // The first variation to arrive is selected until the user picks another
+            if (!result.image) {
+              result.image = data.image;
+              result.parameters = data.parameters;
+              result.source = { provider: data.provider, model: data.model };
+              setImage(data.image);
+              setImageParameters(data.parameters);
+              setImageSource(result.source);
+            }
+            break;
+          case 'error':
+            failure = data;
+            break;
+        }
+        setProgress((p) => ({ ...p, [event]: true }));
+      }, { headers: await authHeaders() });
+
+      if (failure) throw Object.assign(new Error(failure.error), { response: { data: failure } });
+      return result;
+    } catch (err) {
+      console.error("Image Error:", err);
+      // Blocked prompts go to the main banner, where there's no Retry to offer
+      (isBlockedPrompt(err) ? setError : setImageError)(describeApiError(err, 'Image generation failed. Check your connection.'));
+      throw err;
+    } finally {
+      setImageLoading(false);
+    }
+  };
+
+  // Diagram side, with the Mermaid code streamed in token by token
+  const runDiagram = async (type = diagramType) => {
+    setDiagramLoading(true);
+    setDiagramError(null);
+    setStreamingDiagram('');
+    setDiagramRepaired(false);
+    setDiagramRenderError(null);
+    setProgress((p) => ({ ...p, diagram: false }));
+
+    const result = {};
+    let failure = null;
+    try {
+      await streamEvents(`${API_BASE_URL}/manifest/stream`, { prompt, diagramType: type, mode: 'diagram' }, (event, data) => {
+        switch (event) {
+          case 'diagram-token':
+            setStreamingDiagram((code) => code + data.token);
+            break;
+          case 'diagram':
+            result.mermaidCode = data.mermaidCode;
+            setMermaidCode(data.mermaidCode);
+            setDiagramRepaired(Boolean(data.repaired));
+            break;
+          case 'error':
+            failure = data;
+            break;
+        }
+        setProgress((p) => ({ ...p, [event]: true }));
+      }, { headers: await authHeaders() });
+
+      if (failure) throw Object.assign(new Error(failure.error), { response: { data: failure } });
+      return result;
+    } catch (err) {
+      console.error("Diagram Error:", err);
+      (isBlockedPrompt(err) ? setError : setDiagramError)(describeApiError(err, 'Diagram generation failed. Check your connection.'));
+      throw err;
+    } finally {
+      setDiagramLoading(false);
+    }
+  };
+
+  // Review mode's first step: fetch the enhanced prompt into an editable draft
+  const runEnhance = async () => {
+    setEnhancing(true);
+    setImageError(null);
+    try {
+      const { data } = await axios.post(`${API_BASE_URL}/enhance`, { prompt, ...styleRequest(), intensity, template }, { headers: await authHeaders() });
+      setPromptDraft(data.enhancedPrompt);
+      setEnhancementInfo(data.enhancement);
+    } catch (err) {
+      console.error("Enhance Error:", err);
+      (isBlockedPrompt(err) ? setError : setImageError)(describeApiError(err, 'Prompt enhancement failed. Check your connection.'));
+    } finally {
+      setEnhancing(false);
+    }
   };
 
   const handleManifest = async () => {
     if (!prompt.trim()) return setError('Please enter a concept to manifest.');
-    setLoading(true);
     setError(null);
+    setIsSaved(false); // Reset saved status for new generation
     setImage(null);
+    setImageError(null);
+    setEnhancedPrompt('');
+    setEnhancementInfo(null);
+    setPromptDraft('');
+    setVariations([]);
     setMermaidCode('');
+    setDiagramError(null);
+    setStreamingDiagram('');
+    setProgress({});
+
+    // In review mode the image waits for the reviewed prompt; the diagram doesn't
+    const reviewing = enhanceMode === 'review' && mode !== 'diagram';
+
+    // Each side succeeds or fails on its own; whatever succeeded is kept
+    const [imageResult, diagramResult] = await Promise.allSettled([
+      mode !== 'diagram' ? (reviewing ? runEnhance() : runImage()) : null,
+      mode !== 'image' ? runDiagram() : null,
+    ]);
+    const turn = {
+      ...(imageResult.status === 'fulfilled' && imageResult.value),
+      ...(diagramResult.status === 'fulfilled' && diagramResult.value),
+    };
+    if (turn.image || turn.mermaidCode) startTurns(turn);
+  };
+
+  // Fold a single side's new output into the current turn
+  const updateCurrentTurn = (patch) => {
+    if (!turns.length) return startTurns(patch);
+    setTurns(turns.map((t, i) => i === turnIndex ? { ...t, ...patch } : t));
+  };
 
+  const handleRetryImage = async () => {
+    setIsSaved(false);
+    if (enhanceMode === 'review' && !promptDraft) return runEnhance();
     try {
-      // Parallel generation for speed
-      const [imgResp, diagResp] = await Promise.all([
-        axios.post(`${API_BASE_URL}/generate`, { prompt, style }),
-        axios.post(`${API_BASE_URL}/generate-diagram`, { prompt })
-      ]);
-
-      setImage(imgResp.data.image);
-      setEnhancedPrompt(imgResp.data.enhancedPrompt);
-      setMermaidCode(diagResp.data.mermaidCode);
+      updateCurrentTurn(await runImage());
+    } catch {
+      // Already reported in imageError
+    }
+  };
+
+  // Review mode's second step: generate from the (possibly edited) draft
+  const handleGenerateFromDraft = async () => {
+    if (!promptDraft.trim()) return setImageError('The reviewed prompt is empty.');
+    setIsSaved(false);
+    try {
+      updateCurrentTurn(await runImage());
+    } catch {
+      // Already reported in imageError
+    }
+  };
+
+  const handleRetryDiagram = async (type = diagramType) => {
+    setIsSaved(false);
+    try {
+      updateCurrentTurn(await runDiagram(type));
+    } catch {
+      // Already reported in diagramError
+    }
+  };
+
+  const startTurns = (turn) => {
+    setTurns([{ instruction: null, ...turn }]);
+    setTurnIndex(0);
+  };
+
+  const selectVariation = (variation) => {
+    setImage(variation.image);
+    setImageParameters(variation.parameters);
+    setTurns(turns.map((t, i) => i === turnIndex ? { ...t, image: variation.image, parameters: variation.parameters } : t));
+    setIsSaved(false);
+  };
+
+  const applyTurn = (index) => {
+    const turn = turns[index];
+    if (!turn) return;
+    setTurnIndex(index);
+    setVariations(turn.variations || []);
+    setImage(turn.image);
+    setImageParameters(turn.parameters || null);
+    setEnhancedPrompt(turn.enhancedPrompt);
+    setEnhancementInfo(turn.enhancement || null);
+    setImageSource(turn.source || null);
+    setMermaidCode(turn.mermaidCode);
+    setDiagramRepaired(false);
+    setIsSaved(false);
+  };
+
+  const handleRefine = async () => {
+    if (!refineInstruction.trim()) return;
+    const base = turns[turnIndex] || { image, enhancedPrompt, mermaidCode, parameters: imageParameters, enhancement: enhancementInfo, source: imageSource };
+
+    setRefining(true);
+    setError(null);
+    try {
+      const { data } = await axios.post(`${API_BASE_URL}/refine`, {
+        instruction: refineInstruction,
+        enhancedPrompt: refineTarget !== 'diagram' ? base.enhancedPrompt || undefined : undefined,
+        mermaidCode: refineTarget !== 'image' ? base.mermaidCode || undefined : undefined,
+        // Same seed and size as the turn being refined, so only the instruction changes the image
+        parameters: savedImageParameters(base.parameters) || buildImageParameters(imageParams),
+      }, { headers: await authHeaders() });
+
+      const turn = {
+        instruction: refineInstruction,
+        image: data.image ?? base.image,
+        enhancedPrompt: data.enhancedPrompt ?? base.enhancedPrompt,
+        mermaidCode: data.mermaidCode ?? base.mermaidCode,
+        parameters: data.parameters ?? base.parameters,
+        // A refined image prompt was rewritten by the instruction, not by enhancement
+        enhancement: data.enhancedPrompt ? { mode: 'refined', fallback: false } : base.enhancement,
+        // A new image comes from the provider /refine used; otherwise the image is unchanged
+        source: data.image ? { provider: data.provider, model: data.model } : base.source,
+      };
+      // Refining an earlier turn discards the turns that came after it
+      const nextTurns = [...turns.slice(0, turnIndex + 1), turn];
+      setTurns(nextTurns);
+      setTurnIndex(nextTurns.length - 1);
+      setImage(turn.image);
+      setImageParameters(turn.parameters || null);
+      setVariations([]);
+      setEnhancedPrompt(turn.enhancedPrompt);
+      setEnhancementInfo(turn.enhancement || null);
+      setImageSource(turn.source || null);
+      setMermaidCode(turn.mermaidCode);
+      setDiagramRepaired(Boolean(data.repaired));
+      setRefineInstruction('');
+      setIsSaved(false);
     } catch (err) {
-      console.error("Manifest Error:", err);
-      setError('Neural manifestation partially failed. Check your connection.');
+      console.error("Refine Error:", err);
+      setError(describeApiError(err, 'Refinement failed.'));
     } finally {
-      setLoading(false);
-      setIsSaved(false); // Reset saved status for new generation
+      setRefining(false);
     }
   };
 
-  const handleSaveToCloud = async () => {
+  // Hand edits from the code editor; only code that parses gets here
+  const handleEditDiagram = (code) => {
+    setMermaidCode(code);
+    setDiagramRepaired(false);
+    setIsSaved(false);
+    updateCurrentTurn({ mermaidCode: code });
+  };
+
+  const selectedPreset = customStyles.find(s => s.id === style);
+
+  // Built-in styles go by name; presets by id, which the backend resolves
+  const styleRequest = () => selectedPreset ? { style: selectedPreset.name, styleId: selectedPreset.id } : { style };
+
+  // How the backend should prepare the image prompt; a reviewed draft is sent as is
+  const enhancementRequest = () => {
+    if (enhanceMode === 'raw') return { raw: true };
+    if (enhanceMode === 'review' && promptDraft.trim()) return { enhancedPrompt: promptDraft.trim() };
+    return { intensity, template };
+  };
+
+  const selectStyle = (id) => {
+    setStyle(id);
+    setIsDropdownOpen(false);
+    // A preset's default size and steps become the starting parameters
+    const preset = customStyles.find(s => s.id === id);
+    if (preset) {
+      setImageParams(p => ({
+        ...(preset.defaults?.aspectRatio ? withAspectRatio(p, preset.defaults.aspectRatio) : p),
+        ...(preset.defaults?.steps && { steps: String(preset.defaults.steps) }),
+      }));
+    }
+  };
+
+  const openStyleEditor = (preset = null) => {
+    if (!user) return openAuthModal();
+    setIsDropdownOpen(false);
+    setStyleDraft(preset
+      ? { ...EMPTY_STYLE, ...preset, defaults: { aspectRatio: preset.defaults?.aspectRatio || '', steps: preset.defaults?.steps || '' } }
+      : EMPTY_STYLE);
+  };
+
+  const handleSaveStyle = async () => {
+    if (!styleDraft.name.trim()) return;
+    setStyleSaving(true);
+    try {
+      const id = await saveStyle(styleDraft, user);
+      setCustomStyles(await listStyles(user.uid));
+      setStyle(id);
+      setStyleDraft(null);
+    } catch (err) {
+      console.error("Save Style Error:", err);
+      alert('Failed to save style.');
+    } finally {
+      setStyleSaving(false);
+    }
+  };
+
+  const handleDeleteStyle = async () => {
+    if (!window.confirm(`Delete the style "${styleDraft.name}"?`)) return;
+    try {
+      await deleteStyle(styleDraft.id);
+      setCustomStyles(customStyles.filter(s => s.id !== styleDraft.id));
+      if (style === styleDraft.id) setStyle(STYLES[0].id);
+      setStyleDraft(null);
+    } catch (err) {
+      console.error("Delete Style Error:", err);
+      alert('Failed to delete style.');
+    }
+  };
+
+  const handleCopyStyleLink = async (id) => {
+    await navigator.clipboard.writeText(styleShareUrl(id));
+    setCopiedStyleId(id);
+    setTimeout(() => setCopiedStyleId(null), 2000);
+  };
+
+  const openShareModal = async (item) => {
+    setShareTarget(item);
+    setShareLinks([]);
+    setShareExpiry(null);
+    try {
+      setShareLinks(await listShares(item.id, user.uid));
+    } catch (err) {
+      console.error("Share List Error:", err);
+      setError("Failed to load share links.");
+    }
+  };
+
+  const handleCreateShare = async () => {
+    setShareBusy(true);
+    try {
+      const id = await createShare(shareTarget.id, user.uid, { expiresInDays: shareExpiry });
+      await navigator.clipboard.writeText(shareUrl(id));
+      setCopiedShareId(id);
+      setTimeout(() => setCopiedShareId(null), 2000);
+      setShareLinks(await listShares(shareTarget.id, user.uid));
+    } catch (err) {
+      console.error("Share Create Error:", err);
+      setError("Failed to create the share link.");
+    } finally {
+      setShareBusy(false);
+    }
+  };
+
+  const handleRevokeShare = async (id) => {
+    try {
+      await revokeShare(id);
+      setShareLinks(links => links.map(link => link.id === id ? { ...link, revoked: true } : link));
+    } catch (err) {
+      console.error("Share Revoke Error:", err);
+      setError("Failed to revoke the share link.");
+    }
+  };
+
+  const handleCopyShareLink = async (id) => {
+    await navigator.clipboard.writeText(shareUrl(id));
+    setCopiedShareId(id);
+    setTimeout(() => setCopiedShareId(null), 2000);
+  };
+
+  const handleDiagramTypeChange = (type) => {
+    setDiagramType(type);
+    // Only the diagram is regenerated; the image stays as is
+    if (prompt.trim()) handleRetryDiagram(type);
+  };
+
+  // `owner` is passed explicitly right after signing in, before `user` has updated
+  const handleSaveToCloud = async (owner = user) => {
     if (!image && !mermaidCode) return;
     if (isSaved) return;
 
-    if (!archivistName.trim()) {
+    if (!owner) {
+      setSaveAfterAuth(true);
       setIsModalOpen(true);
       return;
     }
 
     setSaving(true);
     try {
+      // The image goes to blob storage; the document only keeps URLs and metadata
+      const imageFields = image ? await archiveImage(image, owner.uid) : {};
       const data = {
         type: 'manifestation',
         prompt: prompt,
-        image: image,
+        ...imageFields,
         enhancedPrompt: enhancedPrompt,
         mermaidCode: mermaidCode,
-        style: style,
-        archivist: archivistName,
+        diagramType: diagramType,
+        style: selectedPreset ? selectedPreset.name : style,
+        styleId: selectedPreset?.id || null,
+        parameters: imageParameters,
+        provider: imageSource?.provider || null,
+        model: imageSource?.model || null,
+        ownerId: owner.uid,
+        archivist: displayNameOf(owner),
+        ...buildSearchFields({ prompt, enhancedPrompt, image, mermaidCode }),
         createdAt: serverTimestamp(),
       };
 
       await addDoc(collection(db, "visuals"), data);
       setIsSaved(true);
-      setIsModalOpen(false);
       setTimeout(() => setIsSaved(false), 3000);
     } catch (err) {
       console.error("Save Error:", err);
@@ -144,26 +747,229 @@ function App() {
     }
   };
 
-  const handleDelete = async (itemId) => {
+  const handleDelete = async (item) => {
     if (!window.confirm("Are you sure you want to delete this visual?")) return;
     try {
-      await deleteDoc(doc(db, "visuals", itemId));
-      setHistoryItems(historyItems.filter(item => item.id !== itemId));
+      await deleteDoc(doc(db, "visuals", item.id));
+      await removeArchivedImage(item);
+      setHistoryItems(historyItems.filter(i => i.id !== item.id));
     } catch (err) {
       console.error("Delete Error:", err);
       alert("Failed to delete.");
     }
   };
 
-  const handleDownload = () => {
-    if (image) {
+  // Sign in, sign up or continue anonymously from the account modal, then
+  // finish the save that asked for it
+  const handleAuth = async (method) => {
+    setAuthBusy(true);
+    setAuthError(null);
+    try {
+      const { displayName, email, password } = authForm;
+      const signedIn = method === 'guest'
+        ? await signInAsGuest(displayName.trim())
+        : method === 'signup'
+          ? await signUp(email.trim(), password, displayName.trim())
+          : await signIn(email.trim(), password);
+      setUser(signedIn);
+      setIsModalOpen(false);
+      setAuthForm({ displayName: '', email: '', password: '' });
+      if (saveAfterAuth) {
+        setSaveAfterAuth(false);
+        handleSaveToCloud(signedIn);
+      }
+    } catch (err) {
+      console.error("Auth Error:", err);
+      setAuthError(describeAuthError(err));
+    } finally {
+      setAuthBusy(false);
+    }
+  };
+
+  const openAuthModal = () => {
+    setSaveAfterAuth(false);
+    setAuthError(null);
+    setIsModalOpen(true);
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await signOutUser();
+      setHistoryFilters(filters => filters.mine ? { ...filters, mine: false } : filters);
+    } catch (err) {
+      console.error("Sign Out Error:", err);
+    }
+  };
+
+  const handleMigrate = async () => {
+    setMigration({ done: 0, total: legacyCount });
+    try {
+      const images = await migrateInlineImages(user.uid, (done, total) => setMigration({ done, total }));
+      const search = await backfillSearchFields(user.uid, (done, total) => setMigration({ done, total }));
+      await fetchHistory();
+      const failed = images.failed + search.failed;
+      if (failed) setError(`${failed} legacy ${failed === 1 ? 'entry' : 'entries'} could not be upgraded.`);
+    } catch (err) {
+      console.error("Migration Error:", err);
+      setError("Failed to upgrade legacy entries.");
+    } finally {
+      setMigration(null);
+    }
+  };
+
+  // Zip one manifestation, or with no item every entry in the current history view
+  const handleExportPackage = async (item = null) => {
+    setError(null);
+    setPackageTask({ label: 'Collecting', done: 0 });
+    try {
+      const items = item ? [item] : await fetchAllHistory(historyFilters, {
+        ownerId: user?.uid,
+        onProgress: (done) => setPackageTask({ label: 'Collecting', done }),
+      });
+      if (!items.length) return setError('Nothing in this view to export.');
+      const blob = await exportPackage(items, {
+        filters: item ? null : historyFilters,
+        onProgress: (done, total) => setPackageTask({ label: 'Packaging', done, total }),
+      });
+      downloadBlob(blob, item ? `manifestation-${item.id}.zip` : `visual-crypt-${new Date().toISOString().slice(0, 10)}.zip`);
+    } catch (err) {
+      console.error("Package Export Error:", err);
+      setError(`Failed to export the package: ${err.message}`);
+    } finally {
+      setPackageTask(null);
+    }
+  };
+
+  const handleImportPackage = async (file) => {
+    if (!file) return;
+    if (!user) return openAuthModal();
+    setError(null);
+    setPackageTask({ label: 'Importing', done: 0 });
+    try {
+      await importPackage(file, { uid: user.uid, archivist: displayNameOf(user) },
+        (done, total) => setPackageTask({ label: 'Importing', done, total }));
+      await fetchHistory();
+    } catch (err) {
+      console.error("Package Import Error:", err);
+      setError(`Failed to import the package: ${err.message}`);
+    } finally {
+      setPackageTask(null);
+    }
+  };
+
+  // What a downloaded PNG carries, enough to restore the manifestation on import
+  const manifestMetadata = () => ({
+    prompt,
+    enhancedPrompt,
+    style: selectedPreset ? selectedPreset.name : style,
+    styleId: selectedPreset?.id || null,
+    provider: imageSource?.provider || null,
+    model: imageSource?.model || null,
+    seed: imageParameters?.seed ?? null,
+    parameters: imageParameters,
+    mermaidCode: mermaidCode || null,
+    diagramType,
+    createdAt: new Date().toISOString(),
+  });
+
+  const handleDownload = async () => {
+    if (!image) return;
+    const filename = `manifest-${Date.now()}.png`;
+    try {
+      const png = embedMetadata(await imageToPng(image), manifestMetadata());
+      downloadBlob(new Blob([png], { type: 'image/png' }), filename);
+    } catch (err) {
+      // The image host may refuse cross-origin reads; download it without metadata
+      console.warn('Metadata Embed Fallback:', err);
       const link = document.createElement('a');
       link.href = image;
-      link.download = `manifest-${Date.now()}.jpg`;
+      link.download = filename;
       link.click();
     }
   };
 
+  // Load a saved or imported manifestation into the workspace
+  const openInWorkspace = (item) => {
+    setImage(item.imageUrl || item.image);
+    setEnhancedPrompt(item.enhancedPrompt);
+    setEnhancementInfo(null);
+    setImageSource(item.provider ? { provider: item.provider, model: item.model } : null);
+    setMermaidCode(item.mermaidCode);
+    setDiagramRepaired(false);
+    setDiagramType(item.diagramType || 'flowchart');
+    setImageParameters(item.parameters || null);
+    setVariations([]);
+    setImageParams(item.parameters ? { ...DEFAULT_IMAGE_PARAMS, aspectRatio: '', ...savedImageParameters(item.parameters) } : DEFAULT_IMAGE_PARAMS);
+    startTurns({ image: item.imageUrl || item.image, enhancedPrompt: item.enhancedPrompt, mermaidCode: item.mermaidCode, parameters: item.parameters });
+    setPrompt(item.prompt);
+    setActiveTab('manifest');
+  };
+
+  const handleImportFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    try {
+      const { metadata, image: imported } = await readManifestFile(file);
+      openInWorkspace({ ...metadata, image: imported, mermaidCode: metadata.mermaidCode || '', prompt: metadata.prompt || '' });
+      // Built-in styles by id, presets only if this user can still see them
+      const knownStyle = STYLES.find(s => s.id === metadata.style) || customStyles.find(s => s.id === metadata.styleId);
+      if (knownStyle) setStyle(knownStyle.id);
+      setIsSaved(false);
+    } catch (err) {
+      console.error("Import Error:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleImportDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleImportFile(e.dataTransfer.files[0]);
+  };
+
+  // SVG, PNG and .mmd are produced in the browser from the rendered diagram;
+  // PDF (and PNG when the canvas refuses the SVG) come from /render-diagram
+  const handleExportDiagram = async (format) => {
+    const svg = mermaidRef.current?.querySelector('svg');
+    if (!mermaidCode || (!svg && format !== 'mmd')) return;
+
+    const filename = `diagram-${Date.now()}.${format}`;
+    const background = exportBackground === 'themed' ? THEMED_BACKGROUND : null;
+    setExporting(format);
+    try {
+      if (format === 'mmd') {
+        downloadBlob(new Blob([mermaidCode], { type: 'text/plain' }), filename);
+      } else if (format === 'svg') {
+        downloadBlob(new Blob([serializeSvg(svg)], { type: 'image/svg+xml' }), filename);
+      } else if (format === 'png') {
+        const png = await svgToPng(svg, { scale: 3, background }).catch((err) => {
+          console.warn('PNG Export Fallback:', err);
+          return renderOnServer(mermaidCode, { format, background: background || 'transparent' });
+        });
+        downloadBlob(png, filename);
+      } else {
+        downloadBlob(await renderOnServer(mermaidCode, { format, background: background || 'white' }), filename);
+      }
+    } catch (err) {
+      console.error("Diagram Export Error:", err);
+      setError(`Failed to export the diagram as ${format.toUpperCase()}.`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const loading = imageLoading || diagramLoading || enhancing;
+  // Documents archived before blob storage still carry the image inline, and
+  // ones archived before search lack the fields history filters on. Only
+  // the user's own entries and those archived before accounts can be upgraded.
+  const legacyCount = historyItems.filter(item => (!item.ownerId || item.ownerId === user?.uid)
+    && (item.image?.startsWith('data:') || !item.searchTokens)).length;
+  const updateHistoryFilter = (key, value) => setHistoryFilters(filters => ({ ...filters, [key]: value }));
+  const hasActiveFilters = Object.keys(DEFAULT_HISTORY_FILTERS).some(key => key !== 'mine' && historyFilters[key] !== DEFAULT_HISTORY_FILTERS[key]);
+  const showImageSide = mode !== 'diagram' || Boolean(image || imageLoading || imageError || promptDraft);
+  const showDiagramSide = mode !== 'image' || Boolean(mermaidCode || diagramLoading || diagramError);
+  const hasOutput = Boolean(image || mermaidCode || enhancedPrompt || promptDraft || enhancing || streamingDiagram || imageError || diagramError);
+
   return (
     <div className="min-h-screen relative selection:bg-papa-green-light selection:text-white pb-32">
       <div className="mesh-bg" />
@@ -248,6 +1054,19 @@ function App() {
           >
             <div className="w-2 h-2 rounded-full bg-green-500 animate-pulse" />
             STABILITY_AI_READY
+            <span className="w-px h-4 bg-white/10" />
+            {user ? (
+              <>
+                <span className="flex items-center gap-2 text-haze"><User size={12} /> {displayNameOf(user)}</span>
+                <button onClick={handleSignOut} title="Sign out" className="text-haze/40 hover:text-haze transition-colors">
+                  <LogOut size={14} />
+                </button>
+              </>
+            ) : (
+              <button onClick={openAuthModal} className="flex items-center gap-2 text-haze hover:text-white transition-colors uppercase tracking-widest">
+                <LogIn size={14} /> Sign In
+              </button>
+            )}
           </motion.div>
         </header>
 
@@ -284,7 +1103,15 @@ function App() {
                             Cognitive Input Stream
                           </label>
                           <div className="flex gap-2">
-                            <span className="text-[10px] bg-haze/5 px-3 py-1 rounded-full text-haze/40 border border-white/5">Dual Synthesis Active</span>
+                            {MODES.map((m) => (
+                              <button
+                                key={m.id}
+                                onClick={() => setMode(m.id)}
+                                className={`text-[10px] px-3 py-1 rounded-full border transition-all ${mode === m.id ? 'bg-haze text-papa-green border-haze' : 'bg-haze/5 text-haze/40 border-white/5 hover:text-haze'}`}
+                              >
+                                {m.name}
+                              </button>
+                            ))}
                           </div>
                         </div>
                         <motion.textarea
@@ -304,8 +1131,8 @@ function App() {
                             className="w-full h-[72px] flex items-center justify-between bg-white/[0.03] border border-white/10 rounded-[1.5rem] px-8 hover:bg-white/[0.06] transition-all group overflow-hidden"
                           >
                             <div className="flex items-center gap-4 relative z-10">
-                              <div className="p-2.5 rounded-xl bg-papa-green text-haze shadow-lg">{STYLES.find(s => s.id === style)?.icon}</div>
-                              <span className="capitalize text-base font-bold tracking-tight text-haze/90">{style}</span>
+                              <div className="p-2.5 rounded-xl bg-papa-green text-haze shadow-lg">{selectedPreset ? <Sparkles size={14} /> : STYLES.find(s => s.id === style)?.icon}</div>
+                              <span className="capitalize text-base font-bold tracking-tight text-haze/90">{selectedPreset ? selectedPreset.name : style}</span>
                             </div>
                             <ChevronDown size={20} className={`text-haze/30 transition-transform relative z-10 ${isDropdownOpen ? 'rotate-180' : ''}`} />
                             <div className="absolute inset-x-0 bottom-0 h-1 bg-gradient-to-r from-transparent via-haze/20 to-transparent translate-y-1 group-hover/select:translate-y-0 transition-transform" />
@@ -332,6 +1159,43 @@ function App() {
                                     {style === s.id && <Check size={16} />}
                                   </button>
                                 ))}
+                                {customStyles.length > 0 && (
+                                  <div className="px-6 pt-4 pb-2 text-[9px] font-black uppercase tracking-widest text-haze/30">Custom Styles</div>
+                                )}
+                                <div className="max-h-60 overflow-y-auto">
+                                  {customStyles.map((s) => (
+                                    <div
+                                      key={s.id}
+                                      className={`w-full flex items-center justify-between px-6 py-3 rounded-[1.2rem] transition-all ${style === s.id ? 'bg-haze text-papa-green shadow-xl' : 'hover:bg-white/5 text-haze/50 hover:text-haze'}`}
+                                    >
+                                      <button onClick={() => selectStyle(s.id)} className="flex-1 flex items-center gap-4 font-bold text-sm text-left">
+                                        <Sparkles size={14} />
+                                        <span>
+                                          {s.name}
+                                          {s.ownerId !== user?.uid && <span className="block text-[9px] font-bold uppercase tracking-widest opacity-50">by {s.ownerName}</span>}
+                                        </span>
+                                      </button>
+                                      <div className="flex items-center gap-1">
+                                        {s.shared && (
+                                          <button onClick={() => handleCopyStyleLink(s.id)} title="Copy share link" className="p-1.5 rounded-full hover:bg-black/10">
+                                            {copiedStyleId === s.id ? <Check size={12} /> : <Link2 size={12} />}
+                                          </button>
+                                        )}
+                                        {s.ownerId === user?.uid && (
+                                          <button onClick={() => openStyleEditor(s)} title="Edit style" className="p-1.5 rounded-full hover:bg-black/10">
+                                            <Pencil size={12} />
+                                          </button>
+                                        )}
+                                      </div>
+                                    </div>
+                                  ))}
+                                </div>
+                                <button
+                                  onClick={() => openStyleEditor()}
+                                  className="w-full flex items-center gap-4 px-6 py-4 mt-1 rounded-[1.2rem] border-t border-white/5 text-haze/40 hover:text-haze hover:bg-white/5 font-bold text-sm transition-all"
+                                >
+                                  <Plus size={14} /> New Style
+                                </button>
                               </motion.div>
                             )}
                           </AnimatePresence>
@@ -351,6 +1215,152 @@ function App() {
                         </div>
                       </div>
 
+                      <div className="space-y-6">
+                        <button
+                          onClick={() => setIsAdvancedOpen(!isAdvancedOpen)}
+                          className="flex items-center gap-3 px-2 text-[10px] font-black uppercase tracking-[0.3em] text-haze/30 hover:text-haze transition-all"
+                        >
+                          <SlidersHorizontal size={14} />
+                          Image Parameters
+                          <ChevronDown size={14} className={`transition-transform ${isAdvancedOpen ? 'rotate-180' : ''}`} />
+                        </button>
+
+                        <AnimatePresence>
+                          {isAdvancedOpen && (
+                            <motion.div
+                              initial={{ opacity: 0, height: 0 }}
+                              animate={{ opacity: 1, height: 'auto' }}
+                              exit={{ opacity: 0, height: 0 }}
+                              className="grid grid-cols-1 md:grid-cols-12 gap-6 overflow-hidden"
+                            >
+                              <div className="md:col-span-12 flex flex-wrap gap-2">
+                                {ASPECT_RATIOS.map((ratio) => (
+                                  <button
+                                    key={ratio}
+                                    onClick={() => setImageParams(withAspectRatio(imageParams, ratio))}
+                                    className={`px-5 py-2 rounded-full text-[11px] font-bold border transition-all ${imageParams.aspectRatio === ratio ? 'bg-haze text-papa-green border-haze' : 'bg-white/[0.03] text-haze/50 border-white/10 hover:text-haze'}`}
+                                  >
+                                    {ratio}
+                                  </button>
+                                ))}
+                              </div>
+                              <div className="md:col-span-12 flex flex-wrap items-center gap-2">
+                                <span className="text-[9px] font-bold text-haze/40 uppercase tracking-widest px-2">Enhancement</span>
+                                {ENHANCE_MODES.map((m) => (
+                                  <button
+                                    key={m.id}
+                                    onClick={() => setEnhanceMode(m.id)}
+                                    className={`px-5 py-2 rounded-full text-[11px] font-bold border transition-all ${enhanceMode === m.id ? 'bg-haze text-papa-green border-haze' : 'bg-white/[0.03] text-haze/50 border-white/10 hover:text-haze'}`}
+                                  >
+                                    {m.name}
+                                  </button>
+                                ))}
+                              </div>
+                              {enhanceMode !== 'raw' && (
+                                <>
+                                  <label className="md:col-span-6 space-y-2">
+                                    <span className="text-[9px] font-bold text-haze/40 uppercase tracking-widest px-2">Intensity</span>
+                                    <select
+                                      value={intensity}
+                                      onChange={(e) => setIntensity(e.target.value)}
+                                      className="w-full bg-white/[0.03] border border-white/10 rounded-2xl px-5 py-3 text-sm capitalize focus:outline-none focus:border-haze/20"
+                                    >
+                                      {ENHANCE_INTENSITIES.map((value) => <option key={value} value={value} className="bg-papa-green-dark">{value}</option>)}
+                                    </select>
+                                  </label>
+                                  <label className="md:col-span-6 space-y-2">
+                                    <span className="text-[9px] font-bold text-haze/40 uppercase tracking-widest px-2">Template</span>
+                                    <select
+                                      value={template}
+                                      onChange={(e) => setTemplate(e.target.value)}
+                                      className="w-full bg-white/[0.03] border border-white/10 rounded-2xl px-5 py-3 text-sm capitalize focus:outline-none focus:border-haze/20"
+                                    >
+                                      {ENHANCE_TEMPLATES.map((value) => <option key={value} value={value} className="bg-papa-green-dark">{value}</option>)}
+                                    </select>
+                                  </label>
+                                </>
+                              )}
+                              <div className="md:col-span-12 flex items-center gap-4">
+                                <span className="text-[9px] font-bold text-haze/40 uppercase tracking-widest px-2">Variations</span>
+                                {[1, 2, 3, 4].map((count) => (
+                                  <button
+                                    key={count}
+                                    onClick={() => setImageCount(count)}
+                                    className={`w-10 h-10 rounded-full text-[11px] font-bold border transition-all ${imageCount === count ? 'bg-haze text-papa-green border-haze' : 'bg-white/[0.03] text-haze/50 border-white/10 hover:text-haze'}`}
+                                  >
+                                    {count}
+                                  </button>
+                                ))}
+                              </div>
+                              <label className="md:col-span-4 space-y-2">
+                                <span className="text-[9px] font-bold text-haze/40 uppercase tracking-widest px-2">Seed</span>
+                                <div className="flex gap-2">
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    value={imageParams.seed}
+                                    onChange={(e) => setImageParams({ ...imageParams, seed: e.target.value })}
+                                    placeholder="Random"
+                                    className="flex-1 min-w-0 bg-white/[0.03] border border-white/10 rounded-2xl px-5 py-3 text-sm focus:outline-none focus:border-haze/20 placeholder:text-white/10"
+                                  />
+                                  <button
+                                    onClick={() => setImageParams({ ...imageParams, seed: '' })}
+                                    title="Random seed"
+                                    className="px-4 rounded-2xl bg-white/[0.03] border border-white/10 text-haze/40 hover:text-haze transition-all"
+                                  >
+                                    <Dices size={16} />
+                                  </button>
+                                </div>
+                              </label>
+                              <label className="md:col-span-4 space-y-2">
+                                <span className="text-[9px] font-bold text-haze/40 uppercase tracking-widest px-2">Inference Steps</span>
+                                <input
+                                  type="number"
+                                  min="1"
+                                  value={imageParams.steps}
+                                  onChange={(e) => setImageParams({ ...imageParams, steps: e.target.value })}
+                                  placeholder="Model default"
+                                  className="w-full bg-white/[0.03] border border-white/10 rounded-2xl px-5 py-3 text-sm focus:outline-none focus:border-haze/20 placeholder:text-white/10"
+                                />
+                              </label>
+                              <label className="md:col-span-4 space-y-2">
+                                <span className="text-[9px] font-bold text-haze/40 uppercase tracking-widest px-2">Guidance Scale</span>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.5"
+                                  value={imageParams.guidance}
+                                  onChange={(e) => setImageParams({ ...imageParams, guidance: e.target.value })}
+                                  placeholder="Model default"
+                                  className="w-full bg-white/[0.03] border border-white/10 rounded-2xl px-5 py-3 text-sm focus:outline-none focus:border-haze/20 placeholder:text-white/10"
+                                />
+                              </label>
+                              <label className="md:col-span-12 space-y-2">
+                                <span className="text-[9px] font-bold text-haze/40 uppercase tracking-widest px-2">Negative Prompt</span>
+                                <input
+                                  type="text"
+                                  value={imageParams.negativePrompt}
+                                  onChange={(e) => setImageParams({ ...imageParams, negativePrompt: e.target.value })}
+                                  placeholder="What the image should avoid (not supported by FLUX)"
+                                  className="w-full bg-white/[0.03] border border-white/10 rounded-2xl px-5 py-3 text-sm focus:outline-none focus:border-haze/20 placeholder:text-white/10"
+                                />
+                              </label>
+                            </motion.div>
+                          )}
+                        </AnimatePresence>
+                      </div>
+
+                      <label
+                        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                        onDragLeave={() => setIsDragging(false)}
+                        onDrop={handleImportDrop}
+                        className={`flex items-center justify-center gap-3 px-6 py-5 rounded-2xl border border-dashed cursor-pointer text-[10px] font-black uppercase tracking-[0.3em] transition-all ${isDragging ? 'border-haze/60 bg-white/5 text-haze' : 'border-white/10 text-haze/30 hover:text-haze hover:border-haze/30'}`}
+                      >
+                        <Upload size={14} />
+                        Drop a downloaded manifest PNG to restore it
+                        <input type="file" accept="image/png" className="hidden" onChange={(e) => { handleImportFile(e.target.files[0]); e.target.value = ''; }} />
+                      </label>
+
                       {error && (
                         <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} className="bg-red-500/10 border border-red-500/20 p-5 rounded-2xl flex items-center gap-4 text-red-200">
                           <div className="p-2 bg-red-500/20 rounded-lg"><AlertCircle size={18} /></div>
@@ -363,7 +1373,7 @@ function App() {
                   {/* Output Display Zone */}
                   <div className="relative min-h-[500px] flex items-center justify-center">
                     <AnimatePresence mode="wait">
-                      {loading && (
+                      {loading && !hasOutput && (
                         <motion.div
                           key="loader"
                           initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
@@ -383,7 +1393,7 @@ function App() {
                         </motion.div>
                       )}
 
-                      {!loading && !image && !mermaidCode && (
+                      {!loading && !hasOutput && (
                         <motion.div
                           key="empty"
                           initial={{ opacity: 0 }} animate={{ opacity: 1 }}
@@ -396,16 +1406,30 @@ function App() {
                         </motion.div>
                       )}
 
-                      {(image || mermaidCode) && !loading && (
+                      {hasOutput && (
                         <motion.div
                           key="output-dual"
                           initial={{ opacity: 0, y: 40 }} animate={{ opacity: 1, y: 0 }}
                           className="w-full space-y-20"
                         >
+                          {loading && (
+                            <div className="flex flex-wrap justify-center gap-3">
+                              {STREAM_STAGES.filter(({ side }) => side === 'image' ? imageLoading : diagramLoading).map(({ event, label }) => (
+                                <span
+                                  key={event}
+                                  className={`flex items-center gap-2 px-4 py-1.5 rounded-full text-[10px] font-black uppercase tracking-widest border transition-all ${progress[event] ? 'bg-haze text-papa-green border-haze' : 'bg-white/5 text-haze/30 border-white/5'}`}
+                                >
+                                  {progress[event] ? <Check size={12} /> : <Loader2 className="animate-spin" size={12} />}
+                                  {label}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+
                           <div className="flex justify-center mb-10">
                             <motion.button
-                              onClick={handleSaveToCloud}
-                              disabled={saving || isSaved}
+                              onClick={() => handleSaveToCloud()}
+                              disabled={loading || saving || isSaved}
                               whileHover={{ scale: 1.05 }}
                               whileTap={{ scale: 0.95 }}
                               className={`px-12 py-5 rounded-full border border-white/20 flex items-center gap-4 font-black text-[10px] tracking-[0.4em] uppercase transition-all shadow-2xl ${isSaved ? 'bg-green-500 text-white shadow-green-500/40' : 'glass text-haze hover:bg-white/10 shadow-black/60 glow-heavy'}`}
@@ -415,61 +1439,257 @@ function App() {
                             </motion.button>
                           </div>
 
-                          <div className="grid grid-cols-1 xl:grid-cols-2 gap-16 items-start">
+                          <div className={`grid grid-cols-1 gap-16 items-start ${showImageSide && showDiagramSide ? 'xl:grid-cols-2' : 'max-w-3xl mx-auto'}`}>
                             {/* Cinematic Art Side */}
-                            <motion.div
-                              initial={{ opacity: 0, x: -30 }}
-                              animate={{ opacity: 1, x: 0 }}
-                              transition={{ delay: 0.1 }}
-                              className="space-y-10"
-                            >
-                              <div className="flex items-center justify-between px-8">
-                                <h3 className="text-xs font-black uppercase tracking-[0.5em] text-haze/30">Manifested Vision</h3>
-                                <motion.button whileHover={{ scale: 1.2 }} onClick={handleDownload} className="text-haze/20 hover:text-haze"><Download size={20} /></motion.button>
-                              </div>
-                              <div className="relative group rounded-[3.5rem] overflow-hidden shadow-[0_50px_100px_rgba(0,0,0,0.6)] ring-1 ring-white/10">
-                                {image ? (
-                                  <img src={image} className="w-full h-auto transition-transform duration-1000 group-hover:scale-105" alt="Art Output" />
-                                ) : (
-                                  <div className="aspect-square bg-white/5 flex items-center justify-center border border-dashed border-white/10 rounded-[3.5rem]">
-                                    <ImageIcon size={60} className="text-white/5" />
+                            {showImageSide && (
+                              <motion.div
+                                initial={{ opacity: 0, x: -30 }}
+                                animate={{ opacity: 1, x: 0 }}
+                                transition={{ delay: 0.1 }}
+                                className="space-y-10"
+                              >
+                                <div className="flex items-center justify-between px-8">
+                                  <h3 className="text-xs font-black uppercase tracking-[0.5em] text-haze/30">Manifested Vision</h3>
+                                  <motion.button whileHover={{ scale: 1.2 }} onClick={handleDownload} className="text-haze/20 hover:text-haze"><Download size={20} /></motion.button>
+                                </div>
+                                <div className="relative group rounded-[3.5rem] overflow-hidden shadow-[0_50px_100px_rgba(0,0,0,0.6)] ring-1 ring-white/10">
+                                  {image ? (
+                                    <img src={image} className="w-full h-auto transition-transform duration-1000 group-hover:scale-105" alt="Art Output" />
+                                  ) : (
+                                    <div className="aspect-square bg-white/5 flex items-center justify-center border border-dashed border-white/10 rounded-[3.5rem]">
+                                      {imageLoading ? <Loader2 size={48} className="animate-spin text-haze/20" /> : <ImageIcon size={60} className="text-white/5" />}
+                                    </div>
+                                  )}
+                                </div>
+                                {imageError && !imageLoading && <RetryNotice message={imageError} onRetry={handleRetryImage} />}
+                                {enhanceMode === 'review' && (promptDraft || enhancing) && !image && !imageLoading && (
+                                  <div className="glass p-10 rounded-[3rem] border border-white/5 space-y-6">
+                                    <div className="flex items-center gap-3 opacity-40">
+                                      <Pencil size={14} />
+                                      <span className="text-[10px] font-black uppercase tracking-widest">Review Enhanced Prompt</span>
+                                    </div>
+                                    {enhancing ? (
+                                      <Loader2 size={24} className="animate-spin text-haze/20" />
+                                    ) : (
+                                      <>
+                                        <textarea
+                                          value={promptDraft}
+                                          onChange={(e) => setPromptDraft(e.target.value)}
+                                          rows={5}
+                                          aria-label="Enhanced prompt"
+                                          className="w-full bg-white/[0.03] border border-white/10 rounded-2xl px-5 py-4 text-sm leading-relaxed resize-y focus:outline-none focus:border-haze/20"
+                                        />
+                                        {enhancementInfo?.fallback && <EnhancementFallback reason={enhancementInfo.reason} />}
+                                        <button
+                                          onClick={handleGenerateFromDraft}
+                                          className="flex items-center gap-3 px-6 py-3 rounded-full bg-haze text-papa-green-dark text-[10px] font-black uppercase tracking-widest hover:scale-[1.02] transition-all"
+                                        >
+                                          <Zap size={14} className="fill-current" /> Generate From This Prompt
+                                        </button>
+                                      </>
+                                    )}
                                   </div>
                                 )}
-                              </div>
-                              {enhancedPrompt && (
-                                <div className="glass p-10 rounded-[3rem] border border-white/5 shadow-inner">
-                                  <div className="flex items-center gap-3 mb-6 opacity-20">
-                                    <Sparkles size={14} />
-                                    <span className="text-[10px] font-black uppercase tracking-widest">Neural Polish</span>
+                                {(variations.length > 1 || (imageLoading && imageCount > 1)) && (
+                                  <div className="grid grid-cols-4 gap-4 px-2">
+                                    {Array.from({ length: Math.max(variations.length, imageLoading ? imageCount : 0) }, (_, index) => variations[index]).map((variation, index) => (
+                                      <button
+                                        key={index}
+                                        onClick={() => variation && selectVariation(variation)}
+                                        disabled={!variation}
+                                        className={`aspect-square rounded-2xl overflow-hidden ring-2 transition-all ${variation && variation.image === image ? 'ring-haze' : 'ring-white/5 hover:ring-haze/40'}`}
+                                      >
+                                        {variation ? (
+                                          <img src={variation.image} className="w-full h-full object-cover" alt={`Variation ${index + 1}`} />
+                                        ) : (
+                                          <div className="w-full h-full bg-white/5 flex items-center justify-center">
+                                            <Loader2 size={20} className="animate-spin text-haze/20" />
+                                          </div>
+                                        )}
+                                      </button>
+                                    ))}
                                   </div>
-                                  <p className="text-lg font-light italic text-haze/70 leading-relaxed font-display">"{enhancedPrompt}"</p>
-                                </div>
-                              )}
-                            </motion.div>
+                                )}
+                                {enhancedPrompt && (
+                                  <div className="glass p-10 rounded-[3rem] border border-white/5 shadow-inner">
+                                    <div className="flex items-center gap-3 mb-6 opacity-20">
+                                      <Sparkles size={14} />
+                                      <span className="text-[10px] font-black uppercase tracking-widest">{PROMPT_LABELS[enhancementInfo?.mode] || PROMPT_LABELS.enhanced}</span>
+                                    </div>
+                                    <p className="text-lg font-light italic text-haze/70 leading-relaxed font-display">"{enhancedPrompt}"</p>
+                                    {enhancementInfo?.fallback && <div className="mt-6"><EnhancementFallback reason={enhancementInfo.reason} /></div>}
+                                    {enhancementInfo?.cache === 'hit' && (
+                                      <span title="Served from the result cache" className="inline-flex items-center gap-2 mt-6 px-3 py-1 rounded-full bg-white/5 border border-white/5 text-[10px] font-bold text-haze/40 uppercase tracking-widest">
+                                        <Zap size={10} /> Cached
+                                      </span>
+                                    )}
+                                    {imageParameters && (
+                                      <div className="flex flex-wrap items-center gap-2 mt-6">
+                                        {Object.entries(imageParameters).map(([key, value]) => (
+                                          <span key={key} className="px-3 py-1 rounded-full bg-white/5 border border-white/5 text-[10px] font-bold text-haze/40 uppercase tracking-widest">
+                                            {key}: {String(value)}
+                                          </span>
+                                        ))}
+                                        {imageParameters.seed !== undefined && (
+                                          <button
+                                            onClick={() => setImageParams({ ...imageParams, seed: String(imageParameters.seed) })}
+                                            className="px-3 py-1 rounded-full bg-papa-green/30 border border-white/5 text-[10px] font-bold text-papa-green-light uppercase tracking-widest hover:text-haze transition-all"
+                                          >
+                                            Reuse Seed
+                                          </button>
+                                        )}
+                                      </div>
+                                    )}
+                                  </div>
+                                )}
+                              </motion.div>
+                            )}
 
                             {/* Technical Logic Side */}
-                            <motion.div
-                              initial={{ opacity: 0, x: 30 }}
-                              animate={{ opacity: 1, x: 0 }}
-                              transition={{ delay: 0.2 }}
-                              className="space-y-10"
-                            >
-                              <div className="flex items-center justify-between px-8">
-                                <h3 className="text-xs font-black uppercase tracking-[0.5em] text-haze/30">Architectural Logic</h3>
-                                <div className="p-1.5 px-4 bg-white/5 rounded-full text-[10px] font-black text-haze/20 border border-white/5 uppercase tracking-widest">Mermaid.js</div>
-                              </div>
-                              <div className="w-full glass-card rounded-[3.5rem] p-16 shadow-[0_50px_100px_rgba(0,0,0,0.6)] min-h-[500px] flex items-center justify-center relative">
-                                {mermaidCode ? (
-                                  <div ref={mermaidRef} className="mermaid w-full h-full opacity-90 transition-opacity hover:opacity-100" />
-                                ) : (
-                                  <div className="flex flex-col items-center gap-6 opacity-5">
-                                    <GitBranch size={60} />
-                                    <span className="text-[12px] font-black uppercase tracking-widest">Awaiting Structural Data</span>
+                            {showDiagramSide && (
+                              <motion.div
+                                initial={{ opacity: 0, x: 30 }}
+                                animate={{ opacity: 1, x: 0 }}
+                                transition={{ delay: 0.2 }}
+                                className="space-y-10"
+                              >
+                                <div className="flex items-center justify-between px-8">
+                                  <h3 className="text-xs font-black uppercase tracking-[0.5em] text-haze/30">Architectural Logic</h3>
+                                  <div className="flex items-center gap-2">
+                                    {diagramRepaired && (
+                                      <div className="p-1.5 px-4 bg-papa-green/30 rounded-full text-[10px] font-black text-papa-green-light border border-white/5 uppercase tracking-widest">Auto-Repaired</div>
+                                    )}
+                                    {mermaidCode && (
+                                      <button
+                                        onClick={() => setIsEditorOpen(!isEditorOpen)}
+                                        className={`flex items-center gap-2 p-1.5 px-4 rounded-full text-[10px] font-black uppercase tracking-widest border border-white/5 transition-all ${isEditorOpen ? 'bg-haze text-papa-green' : 'bg-white/5 text-haze/60 hover:bg-white/10'}`}
+                                      >
+                                        <Terminal size={12} /> Code
+                                      </button>
+                                    )}
+                                    <select
+                                      value={diagramType}
+                                      onChange={(e) => handleDiagramTypeChange(e.target.value)}
+                                      disabled={diagramLoading}
+                                      className="p-1.5 px-4 bg-white/5 rounded-full text-[10px] font-black text-haze/60 border border-white/5 uppercase tracking-widest focus:outline-none hover:bg-white/10 transition-all disabled:opacity-40 cursor-pointer"
+                                    >
+                                      {DIAGRAM_TYPES.map((t) => (
+                                        <option key={t.id} value={t.id} className="bg-papa-green-dark text-haze">{t.name}</option>
+                                      ))}
+                                    </select>
+                                  </div>
+                                </div>
+                                <div className={`w-full glass-card rounded-[3.5rem] shadow-[0_50px_100px_rgba(0,0,0,0.6)] min-h-[500px] relative ${isEditorOpen && mermaidCode ? 'grid grid-cols-1 lg:grid-cols-2 gap-8 p-8 items-center' : 'p-16 flex items-center justify-center'}`}>
+                                  {/* Split view: the editor drives mermaidCode, the render follows */}
+                                  {isEditorOpen && mermaidCode && !diagramLoading && (
+                                    <MermaidEditor value={mermaidCode} onChange={handleEditDiagram} />
+                                  )}
+                                  {mermaidCode && diagramRenderError && (
+                                    <div className="absolute bottom-8 inset-x-8 bg-red-500/10 border border-red-500/20 p-4 rounded-2xl flex items-center gap-3 text-red-200">
+                                      <AlertCircle size={16} />
+                                      <p className="text-xs font-mono whitespace-pre-wrap line-clamp-4">{diagramRenderError}</p>
+                                    </div>
+                                  )}
+                                  {diagramLoading && !streamingDiagram && (
+                                    <div className="absolute inset-0 bg-papa-green-dark/60 backdrop-blur-sm rounded-[3.5rem] flex items-center justify-center z-10">
+                                      <Loader2 className="animate-spin text-haze" size={32} />
+                                    </div>
+                                  )}
+                                  {/* While a diagram streams in, its raw code replaces the previous render */}
+                                  {diagramLoading && streamingDiagram && (
+                                    <pre className="w-full text-xs font-mono text-haze/50 whitespace-pre-wrap">{streamingDiagram}</pre>
+                                  )}
+                                  {mermaidCode ? (
+                                    <div ref={attachDiagramContainer} className={`mermaid w-full h-full opacity-90 transition-opacity hover:opacity-100 ${diagramLoading && streamingDiagram ? 'hidden' : ''}`} />
+                                  ) : !(diagramLoading && streamingDiagram) && (
+                                    <div className="flex flex-col items-center gap-6 opacity-5">
+                                      <GitBranch size={60} />
+                                      <span className="text-[12px] font-black uppercase tracking-widest">Awaiting Structural Data</span>
+                                    </div>
+                                  )}
+                                </div>
+                                {mermaidCode && !diagramLoading && (
+                                  <div className="flex flex-wrap items-center justify-between gap-4 px-8">
+                                    <div className="flex p-1 bg-white/5 rounded-full border border-white/5 text-[10px] font-black uppercase tracking-widest">
+                                      {['transparent', 'themed'].map(option => (
+                                        <button
+                                          key={option}
+                                          onClick={() => setExportBackground(option)}
+                                          className={`px-4 py-1.5 rounded-full transition-all ${exportBackground === option ? 'bg-haze text-papa-green' : 'text-haze/40 hover:text-haze'}`}
+                                        >
+                                          {option}
+                                        </button>
+                                      ))}
+                                    </div>
+                                    <div className="flex flex-wrap items-center gap-2">
+                                      {['svg', 'png', 'pdf', 'mmd'].map(format => (
+                                        <button
+                                          key={format}
+                                          onClick={() => handleExportDiagram(format)}
+                                          disabled={Boolean(exporting)}
+                                          className="flex items-center gap-2 px-4 py-2 rounded-full bg-white/5 border border-white/5 text-[10px] font-black uppercase tracking-widest text-haze/60 hover:text-haze hover:bg-white/10 transition-all disabled:opacity-40"
+                                        >
+                                          {exporting === format ? <Loader2 className="animate-spin" size={12} /> : <Download size={12} />}
+                                          {format === 'mmd' ? '.mmd' : format}
+                                        </button>
+                                      ))}
+                                    </div>
                                   </div>
                                 )}
-                              </div>
-                            </motion.div>
+                                {diagramError && !diagramLoading && <RetryNotice message={diagramError} onRetry={() => handleRetryDiagram()} />}
+                              </motion.div>
+                            )}
                           </div>
+
+                          {/* Conversational Refinement */}
+                          {!loading && turns.length > 0 && (
+                            <div className="glass-card rounded-[3rem] p-8 space-y-6">
+                              <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 px-2">
+                                <h3 className="text-xs font-black uppercase tracking-[0.5em] text-haze/30">Refine Manifestation</h3>
+                                <div className="flex flex-wrap items-center gap-2">
+                                  {turns.map((turn, index) => (
+                                    <button
+                                      key={index}
+                                      onClick={() => applyTurn(index)}
+                                      title={turn.instruction || 'Original manifestation'}
+                                      className={`px-4 py-1.5 rounded-full text-[10px] font-black uppercase tracking-widest border transition-all ${index === turnIndex ? 'bg-haze text-papa-green border-haze' : 'bg-white/5 text-haze/40 border-white/5 hover:text-haze'}`}
+                                    >
+                                      {index === 0 ? 'Origin' : `Turn ${index}`}
+                                    </button>
+                                  ))}
+                                </div>
+                              </div>
+                              <div className="flex flex-col md:flex-row gap-4">
+                                <input
+                                  type="text"
+                                  value={refineInstruction}
+                                  onChange={(e) => setRefineInstruction(e.target.value)}
+                                  onKeyDown={(e) => e.key === 'Enter' && handleRefine()}
+                                  placeholder='e.g. "add a cache layer between API and DB" or "make it night time"'
+                                  className="flex-1 bg-white/[0.03] border border-white/10 rounded-2xl px-6 py-4 text-sm focus:outline-none focus:border-haze/20 transition-all placeholder:text-white/10"
+                                />
+                                <div className="flex p-1 bg-black/30 rounded-2xl border border-white/5">
+                                  {['both', 'image', 'diagram'].map((target) => (
+                                    <button
+                                      key={target}
+                                      onClick={() => setRefineTarget(target)}
+                                      className={`px-4 rounded-xl text-[10px] font-black uppercase tracking-widest transition-all ${refineTarget === target ? 'bg-haze text-papa-green' : 'text-haze/40 hover:text-haze'}`}
+                                    >
+                                      {target}
+                                    </button>
+                                  ))}
+                                </div>
+                                <button
+                                  onClick={handleRefine}
+                                  disabled={refining || !refineInstruction.trim()}
+                                  className="px-8 py-4 rounded-2xl bg-haze text-papa-green font-black text-[10px] uppercase tracking-[0.2em] flex items-center justify-center gap-3 hover:scale-105 active:scale-95 transition-all disabled:opacity-20"
+                                >
+                                  {refining ? <Loader2 className="animate-spin" size={16} /> : <Send size={16} />}
+                                  Refine
+                                </button>
+                              </div>
+                            </div>
+                          )}
                         </motion.div>
                       )}
                     </AnimatePresence>
@@ -483,14 +1703,139 @@ function App() {
                 >
                   <div className="flex items-center justify-between mb-8">
                     <h2 className="text-4xl font-display font-bold text-haze">The Visual Crypt</h2>
-                    <p className="text-haze/40 text-sm font-light">Stored iterations of neural creativity.</p>
+                    <div className="flex items-center gap-6">
+                      <div className="flex p-1 bg-white/5 rounded-full border border-white/10 text-[10px] font-black uppercase tracking-widest">
+                        {[{ mine: false, label: 'All Archives' }, { mine: true, label: 'My Vault' }].map(option => (
+                          <button
+                            key={option.label}
+                            onClick={() => updateHistoryFilter('mine', option.mine)}
+                            className={`px-4 py-2 rounded-full transition-all ${historyFilters.mine === option.mine ? 'bg-haze text-papa-green' : 'text-haze/50 hover:text-haze'}`}
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                      </div>
+                      {user && legacyCount > 0 && (
+                        <button
+                          onClick={handleMigrate}
+                          disabled={Boolean(migration)}
+                          className="flex items-center gap-2 px-5 py-2 rounded-full bg-white/5 border border-white/10 text-[10px] font-black uppercase tracking-widest text-haze/60 hover:text-haze transition-all disabled:opacity-40"
+                        >
+                          {migration ? <Loader2 className="animate-spin" size={14} /> : <Cloud size={14} />}
+                          {migration ? `Migrating ${migration.done}/${migration.total}` : `Upgrade ${legacyCount} legacy entries`}
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleExportPackage()}
+                        disabled={Boolean(packageTask)}
+                        title="Download every entry in this view as a zip package"
+                        className="flex items-center gap-2 px-5 py-2 rounded-full bg-white/5 border border-white/10 text-[10px] font-black uppercase tracking-widest text-haze/60 hover:text-haze transition-all disabled:opacity-40"
+                      >
+                        {packageTask ? <Loader2 className="animate-spin" size={14} /> : <Package size={14} />}
+                        {packageTask ? `${packageTask.label} ${packageTask.done}${packageTask.total ? `/${packageTask.total}` : ''}` : 'Export View'}
+                      </button>
+                      <label
+                        title="Recreate the entries of a package in your vault"
+                        className={`flex items-center gap-2 px-5 py-2 rounded-full bg-white/5 border border-white/10 text-[10px] font-black uppercase tracking-widest text-haze/60 hover:text-haze transition-all cursor-pointer ${packageTask ? 'opacity-40 pointer-events-none' : ''}`}
+                      >
+                        <Upload size={14} /> Import Package
+                        <input type="file" accept=".zip,application/zip" className="hidden" onChange={(e) => { handleImportPackage(e.target.files[0]); e.target.value = ''; }} />
+                      </label>
+                      <p className="text-haze/40 text-sm font-light">Stored iterations of neural creativity.</p>
+                    </div>
+                  </div>
+
+                  {/* Search, filters and sort */}
+                  <div className="glass-card rounded-[2.5rem] border border-white/5 p-6 space-y-5">
+                    <div className="flex flex-col md:flex-row gap-4">
+                      <div className="flex-1 flex items-center gap-3 bg-white/5 border border-white/10 rounded-2xl px-5">
+                        <Search size={16} className="text-haze/40" />
+                        <input
+                          value={searchInput}
+                          onChange={(e) => setSearchInput(e.target.value)}
+                          placeholder="Search prompts and enhanced prompts..."
+                          className="flex-1 bg-transparent py-3 text-sm text-haze placeholder:text-haze/20 outline-none"
+                        />
+                      </div>
+                      <select
+                        value={historyFilters.sort}
+                        onChange={(e) => updateHistoryFilter('sort', e.target.value)}
+                        className="bg-white/5 border border-white/10 rounded-2xl px-5 py-3 text-xs font-bold uppercase tracking-widest text-haze outline-none"
+                      >
+                        {SORT_OPTIONS.map(option => (
+                          <option key={option.id} value={option.id} className="bg-papa-green-dark">{option.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-3 text-[10px] font-black uppercase tracking-widest">
+                      <Filter size={14} className="text-haze/40" />
+                      <select
+                        value={historyFilters.style}
+                        onChange={(e) => updateHistoryFilter('style', e.target.value)}
+                        className="bg-white/5 border border-white/10 rounded-full px-4 py-2 text-haze/70 outline-none"
+                      >
+                        <option value="" className="bg-papa-green-dark">Any Style</option>
+                        {STYLES.map(s => (
+                          <option key={s.id} value={s.id} className="bg-papa-green-dark">{s.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        value={historyFilters.archivist}
+                        onChange={(e) => updateHistoryFilter('archivist', e.target.value)}
+                        placeholder="Archivist"
+                        className="w-32 bg-white/5 border border-white/10 rounded-full px-4 py-2 text-haze/70 placeholder:text-haze/30 outline-none"
+                      />
+                      <input
+                        type="date"
+                        value={historyFilters.from}
+                        onChange={(e) => updateHistoryFilter('from', e.target.value)}
+                        className="bg-white/5 border border-white/10 rounded-full px-4 py-2 text-haze/70 outline-none"
+                      />
+                      <span className="text-haze/30">to</span>
+                      <input
+                        type="date"
+                        value={historyFilters.to}
+                        onChange={(e) => updateHistoryFilter('to', e.target.value)}
+                        className="bg-white/5 border border-white/10 rounded-full px-4 py-2 text-haze/70 outline-none"
+                      />
+                      {[{ key: 'hasImage', label: 'Has Image', icon: <ImageIcon size={12} /> }, { key: 'hasDiagram', label: 'Has Diagram', icon: <GitBranch size={12} /> }].map(({ key, label, icon }) => (
+                        <button
+                          key={key}
+                          onClick={() => updateHistoryFilter(key, !historyFilters[key])}
+                          className={`flex items-center gap-2 px-4 py-2 rounded-full border transition-all ${historyFilters[key] ? 'bg-haze text-papa-green border-haze' : 'bg-white/5 border-white/10 text-haze/50 hover:text-haze'}`}
+                        >
+                          {icon} {label}
+                        </button>
+                      ))}
+                      {hasActiveFilters && (
+                        <button
+                          onClick={() => { setSearchInput(''); setHistoryFilters(filters => ({ ...DEFAULT_HISTORY_FILTERS, mine: filters.mine })); }}
+                          className="flex items-center gap-2 px-4 py-2 rounded-full text-red-300/70 hover:text-red-300 transition-all"
+                        >
+                          <X size={12} /> Clear
+                        </button>
+                      )}
+                    </div>
                   </div>
 
-                  {historyLoading ? (
+                  {historyFilters.mine && !user && authReady ? (
+                    <div className="py-32 text-center space-y-6 border-2 border-dashed border-white/5 rounded-[4rem]">
+                      <Lock size={40} className="mx-auto text-haze/10" />
+                      <h3 className="text-2xl font-bold">Your Vault is Sealed</h3>
+                      <p className="text-haze/40 max-w-xs mx-auto">Sign in to see the manifestations you have archived.</p>
+                      <button onClick={openAuthModal} className="bg-haze text-papa-green px-10 py-4 rounded-full font-bold text-xs uppercase tracking-[0.2em] hover:scale-110 active:scale-95 transition-all">Sign In</button>
+                    </div>
+                  ) : historyLoading && historyItems.length === 0 ? (
                     <div className="py-40 text-center space-y-6 bg-white/5 rounded-[4rem] border border-white/5">
                       <div className="w-20 h-20 border-t-2 border-haze rounded-full animate-spin mx-auto" />
                       <p className="text-[10px] font-black uppercase tracking-[0.4em] text-haze/40">Syncing Crypt Data</p>
                     </div>
+                  ) : historyItems.length === 0 && hasActiveFilters ? (
+                    <div className="py-32 text-center space-y-4 border-2 border-dashed border-white/5 rounded-[4rem]">
+                      <Search size={40} className="mx-auto text-haze/10" />
+                      <h3 className="text-2xl font-bold">No Matching Manifestations</h3>
+                      <p className="text-haze/40 max-w-xs mx-auto">Loosen the search or filters to see more of the crypt.</p>
+                    </div>
                   ) : historyItems.length === 0 ? (
                     <div className="py-40 text-center space-y-8 border-2 border-dashed border-white/5 rounded-[4rem]">
                       <div className="w-24 h-24 bg-white/5 rounded-full flex items-center justify-center mx-auto opacity-10">
@@ -503,70 +1848,96 @@ function App() {
                       <button onClick={() => setActiveTab('manifest')} className="bg-haze text-papa-green px-10 py-4 rounded-full font-bold text-xs uppercase tracking-[0.2em] hover:scale-110 active:scale-95 transition-all">Manifest Now</button>
                     </div>
                   ) : (
-                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
-                      {historyItems.map((item, index) => (
-                        <motion.div
-                          key={item.id}
-                          initial={{ opacity: 0, y: 30 }}
-                          animate={{ opacity: 1, y: 0 }}
-                          transition={{ delay: index * 0.1, type: "spring", stiffness: 100 }}
-                          whileHover={{ y: -10, boxShadow: '0 40px 80px rgba(0,0,0,0.8)' }}
-                          className="glass-card rounded-[3rem] border border-white/5 overflow-hidden group hover:border-haze/30 transition-all duration-700 shadow-2xl"
-                        >
-                          <div className="aspect-[16/10] relative overflow-hidden">
-                            {item.image ? (
-                              <img src={item.image} className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-110" alt="Archived Visual" />
-                            ) : (
-                              <div className="w-full h-full bg-papa-green/20 flex flex-col items-center justify-center p-8 text-center gap-4">
-                                <GitBranch size={40} className="text-haze" />
-                                <span className="text-[9px] font-black uppercase tracking-widest text-haze/30">Logic Manifestation</span>
+                    <>
+                      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+                        {historyItems.map((item, index) => (
+                          <motion.div
+                            key={item.id}
+                            initial={{ opacity: 0, y: 30 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            transition={{ delay: (index % HISTORY_PAGE_SIZE) * 0.1, type: "spring", stiffness: 100 }}
+                            whileHover={{ y: -10, boxShadow: '0 40px 80px rgba(0,0,0,0.8)' }}
+                            className="glass-card rounded-[3rem] border border-white/5 overflow-hidden group hover:border-haze/30 transition-all duration-700 shadow-2xl"
+                          >
+                            <div className="aspect-[16/10] relative overflow-hidden">
+                              {item.thumbnailUrl || item.image ? (
+                                <img src={item.thumbnailUrl || item.image} loading="lazy" className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-110" alt="Archived Visual" />
+                              ) : (
+                                <div className="w-full h-full bg-papa-green/20 flex flex-col items-center justify-center p-8 text-center gap-4">
+                                  <GitBranch size={40} className="text-haze" />
+                                  <span className="text-[9px] font-black uppercase tracking-widest text-haze/30">Logic Manifestation</span>
+                                </div>
+                              )}
+                              <div className="absolute top-6 left-6 px-4 py-1.5 rounded-full bg-black/40 backdrop-blur-xl border border-white/10 text-[9px] font-black uppercase tracking-widest text-haze">
+                                Manifestation
+                              </div>
+                              <div className="absolute inset-0 bg-papa-green-dark/80 backdrop-blur-md opacity-0 group-hover:opacity-100 transition-all duration-500 flex items-center justify-center gap-4 translate-y-full group-hover:translate-y-0">
+                                <motion.button
+                                  onClick={() => openInWorkspace(item)}
+                                  whileHover={{ scale: 1.1, rotate: 5 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  className="w-16 h-16 rounded-3xl bg-haze text-papa-green flex items-center justify-center shadow-2xl shadow-haze/20 transition-all"
+                                >
+                                  <ExternalLink size={24} />
+                                </motion.button>
+                                <motion.button
+                                  onClick={() => handleExportPackage(item)}
+                                  disabled={Boolean(packageTask)}
+                                  title="Download as a zip package"
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  className="w-16 h-16 rounded-3xl bg-white/10 text-haze backdrop-blur-xl flex items-center justify-center hover:bg-white/20 transition-all border border-white/10 disabled:opacity-40"
+                                >
+                                  <Package size={24} />
+                                </motion.button>
+                                {user && item.ownerId === user.uid && (
+                                  <motion.button
+                                    onClick={() => openShareModal(item)}
+                                    title="Share a read-only link"
+                                    whileHover={{ scale: 1.1 }}
+                                    whileTap={{ scale: 0.9 }}
+                                    className="w-16 h-16 rounded-3xl bg-white/10 text-haze backdrop-blur-xl flex items-center justify-center hover:bg-white/20 transition-all border border-white/10"
+                                  >
+                                    <Link2 size={24} />
+                                  </motion.button>
+                                )}
+                                {/* Only owners may delete; the security rules enforce the same */}
+                                {user && item.ownerId === user.uid && (
+                                  <motion.button
+                                    onClick={() => handleDelete(item)}
+                                    whileHover={{ scale: 1.1, rotate: -5 }}
+                                    whileTap={{ scale: 0.9 }}
+                                    className="w-16 h-16 rounded-3xl bg-white/10 text-red-400 backdrop-blur-xl flex items-center justify-center hover:bg-red-500 hover:text-white transition-all border border-white/10"
+                                  >
+                                    <Trash2 size={24} />
+                                  </motion.button>
+                                )}
                               </div>
-                            )}
-                            <div className="absolute top-6 left-6 px-4 py-1.5 rounded-full bg-black/40 backdrop-blur-xl border border-white/10 text-[9px] font-black uppercase tracking-widest text-haze">
-                              Manifestation
-                            </div>
-                            <div className="absolute inset-0 bg-papa-green-dark/80 backdrop-blur-md opacity-0 group-hover:opacity-100 transition-all duration-500 flex items-center justify-center gap-4 translate-y-full group-hover:translate-y-0">
-                              <motion.button
-                                onClick={() => {
-                                  setImage(item.image);
-                                  setEnhancedPrompt(item.enhancedPrompt);
-                                  setMermaidCode(item.mermaidCode);
-                                  setPrompt(item.prompt);
-                                  setActiveTab('manifest');
-                                }}
-                                whileHover={{ scale: 1.1, rotate: 5 }}
-                                whileTap={{ scale: 0.9 }}
-                                className="w-16 h-16 rounded-3xl bg-haze text-papa-green flex items-center justify-center shadow-2xl shadow-haze/20 transition-all"
-                              >
-                                <ExternalLink size={24} />
-                              </motion.button>
-                              <motion.button
-                                onClick={() => handleDelete(item.id)}
-                                whileHover={{ scale: 1.1, rotate: -5 }}
-                                whileTap={{ scale: 0.9 }}
-                                className="w-16 h-16 rounded-3xl bg-white/10 text-red-400 backdrop-blur-xl flex items-center justify-center hover:bg-red-500 hover:text-white transition-all border border-white/10"
-                              >
-                                <Trash2 size={24} />
-                              </motion.button>
                             </div>
-                          </div>
-                          <div className="p-8 space-y-6">
-                            <p className="text-sm font-light text-haze/60 leading-relaxed line-clamp-3 italic">"{item.prompt}"</p>
-                            <div className="flex items-center justify-between pt-6 border-t border-white/5">
-                              <span className="flex items-center gap-2 text-[10px] font-bold text-haze/20 uppercase tracking-widest">
-                                <Clock size={12} /> {item.createdAt?.toDate().toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) || 'Recent'}
-                              </span>
-                              {item.archivist && (
-                                <span className="flex items-center gap-2 text-[10px] font-bold text-papa-green-light uppercase tracking-widest bg-papa-green/30 px-3 py-1 rounded-full">
-                                  <User size={10} /> {item.archivist}
+                            <div className="p-8 space-y-6">
+                              <p className="text-sm font-light text-haze/60 leading-relaxed line-clamp-3 italic">"{item.prompt}"</p>
+                              <div className="flex items-center justify-between pt-6 border-t border-white/5">
+                                <span className="flex items-center gap-2 text-[10px] font-bold text-haze/20 uppercase tracking-widest">
+                                  <Clock size={12} /> {item.createdAt?.toDate().toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) || 'Recent'}
                                 </span>
-                              )}
-                              <div className="w-2 h-2 rounded-full bg-haze/10" />
+                                {item.archivist && (
+                                  <span className="flex items-center gap-2 text-[10px] font-bold text-papa-green-light uppercase tracking-widest bg-papa-green/30 px-3 py-1 rounded-full">
+                                    <User size={10} /> {item.archivist}
+                                  </span>
+                                )}
+                                <div className="w-2 h-2 rounded-full bg-haze/10" />
+                              </div>
                             </div>
-                          </div>
-                        </motion.div>
-                      ))}
-                    </div>
+                          </motion.div>
+                        ))}
+                      </div>
+                      <div ref={historySentinelRef} className="py-10 flex justify-center">
+                        {historyLoading && <Loader2 className="animate-spin text-haze/40" size={24} />}
+                        {!historyLoading && !historyHasMore && (
+                          <span className="text-[10px] font-black uppercase tracking-[0.4em] text-haze/20">End of the Crypt</span>
+                        )}
+                      </div>
+                    </>
                   )}
                 </motion.div>
               )}
@@ -585,7 +1956,195 @@ function App() {
         </footer>
       </motion.main>
 
-      {/* Attribution Modal */}
+      {/* Style Preset Editor */}
+      <AnimatePresence>
+        {styleDraft && (
+          <div className="fixed inset-0 z-[1000] flex items-center justify-center p-6">
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              onClick={() => setStyleDraft(null)}
+              className="absolute inset-0 bg-papa-green-dark/80 backdrop-blur-xl"
+            />
+            <motion.div
+              initial={{ scale: 0.9, opacity: 0, y: 20 }}
+              animate={{ scale: 1, opacity: 1, y: 0 }}
+              exit={{ scale: 0.9, opacity: 0, y: 20 }}
+              className="w-full max-w-lg bg-black/40 backdrop-blur-3xl border border-white/10 rounded-[3rem] p-10 shadow-2xl relative z-10 space-y-5"
+            >
+              <div className="flex items-center gap-4">
+                <div className="w-14 h-14 bg-haze/5 rounded-[1.5rem] flex items-center justify-center text-haze">
+                  <Palette size={24} />
+                </div>
+                <div>
+                  <h3 className="text-2xl font-display font-bold text-haze">{styleDraft.id ? 'Edit Style' : 'New Style'}</h3>
+                  <p className="text-haze/40 text-sm font-light">Modifiers applied to every manifestation in this style.</p>
+                </div>
+              </div>
+              <input
+                value={styleDraft.name}
+                onChange={(e) => setStyleDraft({ ...styleDraft, name: e.target.value })}
+                placeholder="Style name"
+                className="w-full bg-white/[0.03] border border-white/10 rounded-2xl p-4 font-bold focus:outline-none focus:ring-1 focus:ring-haze/20 placeholder:text-white/10"
+                autoFocus
+              />
+              <input
+                value={styleDraft.promptSuffix}
+                onChange={(e) => setStyleDraft({ ...styleDraft, promptSuffix: e.target.value })}
+                placeholder="Prompt suffix, e.g. blueprint linework, white on navy"
+                className="w-full bg-white/[0.03] border border-white/10 rounded-2xl p-4 text-sm focus:outline-none focus:ring-1 focus:ring-haze/20 placeholder:text-white/10"
+              />
+              <input
+                value={styleDraft.negativePrompt}
+                onChange={(e) => setStyleDraft({ ...styleDraft, negativePrompt: e.target.value })}
+                placeholder="Negative prompt"
+                className="w-full bg-white/[0.03] border border-white/10 rounded-2xl p-4 text-sm focus:outline-none focus:ring-1 focus:ring-haze/20 placeholder:text-white/10"
+              />
+              <div className="grid grid-cols-2 gap-4">
+                <select
+                  value={styleDraft.defaults.aspectRatio}
+                  onChange={(e) => setStyleDraft({ ...styleDraft, defaults: { ...styleDraft.defaults, aspectRatio: e.target.value } })}
+                  className="bg-white/[0.03] border border-white/10 rounded-2xl p-4 text-sm text-haze focus:outline-none"
+                >
+                  <option value="" className="bg-papa-green-dark">Default size</option>
+                  {ASPECT_RATIOS.map(ratio => (
+                    <option key={ratio} value={ratio} className="bg-papa-green-dark">{ratio}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  value={styleDraft.defaults.steps}
+                  onChange={(e) => setStyleDraft({ ...styleDraft, defaults: { ...styleDraft.defaults, steps: e.target.value } })}
+                  placeholder="Default steps"
+                  className="bg-white/[0.03] border border-white/10 rounded-2xl p-4 text-sm focus:outline-none focus:ring-1 focus:ring-haze/20 placeholder:text-white/10"
+                />
+              </div>
+              <textarea
+                value={styleDraft.referenceExample}
+                onChange={(e) => setStyleDraft({ ...styleDraft, referenceExample: e.target.value })}
+                placeholder="Reference example (optional): a prompt written the way this style should read"
+                className="w-full h-24 bg-white/[0.03] border border-white/10 rounded-2xl p-4 text-sm resize-none focus:outline-none focus:ring-1 focus:ring-haze/20 placeholder:text-white/10"
+              />
+              <label className="flex items-center gap-3 text-sm text-haze/60 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleDraft.shared}
+                  onChange={(e) => setStyleDraft({ ...styleDraft, shared: e.target.checked })}
+                  className="accent-haze"
+                />
+                Share with teammates
+              </label>
+              <div className="flex items-center gap-4 pt-2">
+                {styleDraft.id && (
+                  <button onClick={handleDeleteStyle} className="p-4 rounded-xl text-red-300/70 hover:text-red-300 hover:bg-red-500/10 transition-all" title="Delete style">
+                    <Trash2 size={16} />
+                  </button>
+                )}
+                <button
+                  onClick={() => setStyleDraft(null)}
+                  className="flex-1 py-4 rounded-xl border border-white/5 hover:bg-white/5 text-haze/40 font-bold text-xs uppercase tracking-widest transition-all"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveStyle}
+                  disabled={styleSaving || !styleDraft.name.trim()}
+                  className="flex-1 py-4 rounded-xl bg-haze text-papa-green font-bold text-xs uppercase tracking-widest hover:scale-105 active:scale-95 transition-all shadow-xl shadow-haze/10 disabled:opacity-40 disabled:hover:scale-100"
+                >
+                  {styleSaving ? <Loader2 className="animate-spin mx-auto" size={16} /> : 'Save Style'}
+                </button>
+              </div>
+            </motion.div>
+          </div>
+        )}
+      </AnimatePresence>
+
+      {/* Share Links Modal */}
+      <AnimatePresence>
+        {shareTarget && (
+          <div className="fixed inset-0 z-[1000] flex items-center justify-center p-6">
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              onClick={() => setShareTarget(null)}
+              className="absolute inset-0 bg-papa-green-dark/80 backdrop-blur-xl"
+            />
+            <motion.div
+              initial={{ scale: 0.9, opacity: 0, y: 20 }}
+              animate={{ scale: 1, opacity: 1, y: 0 }}
+              exit={{ scale: 0.9, opacity: 0, y: 20 }}
+              className="w-full max-w-lg bg-black/40 backdrop-blur-3xl border border-white/10 rounded-[3rem] p-10 shadow-2xl relative z-10 space-y-6"
+            >
+              <div className="flex items-center gap-4">
+                <div className="w-14 h-14 bg-haze/5 rounded-[1.5rem] flex items-center justify-center text-haze">
+                  <Link2 size={24} />
+                </div>
+                <div className="min-w-0">
+                  <h3 className="text-2xl font-display font-bold text-haze">Share Links</h3>
+                  <p className="text-haze/40 text-sm font-light truncate">Read-only links to "{shareTarget.prompt}".</p>
+                </div>
+              </div>
+              <p className="text-haze/30 text-xs font-light leading-relaxed">
+                Revoking or expiring a link closes its share page. The manifestation itself stays public in the Visual Crypt; delete it to take it down.
+              </p>
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-[9px] font-bold text-haze/40 uppercase tracking-widest px-2">Expires</span>
+                {SHARE_EXPIRY_OPTIONS.map((option) => (
+                  <button
+                    key={option.label}
+                    onClick={() => setShareExpiry(option.days)}
+                    className={`px-4 py-2 rounded-full text-[11px] font-bold border transition-all ${shareExpiry === option.days ? 'bg-haze text-papa-green border-haze' : 'bg-white/[0.03] text-haze/50 border-white/10 hover:text-haze'}`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={handleCreateShare}
+                disabled={shareBusy}
+                className="w-full py-4 rounded-xl bg-haze text-papa-green font-bold text-xs uppercase tracking-widest hover:scale-[1.02] active:scale-95 transition-all disabled:opacity-40"
+              >
+                {shareBusy ? <Loader2 className="animate-spin mx-auto" size={16} /> : 'Create & Copy Link'}
+              </button>
+              {shareLinks.length > 0 && (
+                <div className="space-y-2 max-h-64 overflow-y-auto">
+                  {shareLinks.map((link) => {
+                    const active = isShareActive(link);
+                    return (
+                      <div key={link.id} className="flex items-center gap-3 px-4 py-3 rounded-2xl bg-white/[0.03] border border-white/5">
+                        <div className="flex-1 min-w-0">
+                          <p className={`text-xs font-mono truncate ${active ? 'text-haze/70' : 'text-haze/20 line-through'}`}>{shareUrl(link.id)}</p>
+                          <p className="text-[9px] font-bold uppercase tracking-widest text-haze/30">
+                            {link.revoked ? 'Revoked' : link.expiresAt ? `${active ? 'Expires' : 'Expired'} ${link.expiresAt.toDate().toLocaleString()}` : 'Never expires'}
+                          </p>
+                        </div>
+                        {active && (
+                          <>
+                            <button onClick={() => handleCopyShareLink(link.id)} title="Copy link" className="p-2 rounded-full text-haze/40 hover:text-haze hover:bg-white/5 transition-all">
+                              {copiedShareId === link.id ? <Check size={14} /> : <Link2 size={14} />}
+                            </button>
+                            <button onClick={() => handleRevokeShare(link.id)} title="Revoke link" className="p-2 rounded-full text-red-300/60 hover:text-red-300 hover:bg-red-500/10 transition-all">
+                              <X size={14} />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+              <button onClick={() => setShareTarget(null)} className="w-full py-3 rounded-xl bg-white/5 text-haze/60 font-bold text-xs uppercase tracking-widest hover:bg-white/10 transition-all">
+                Close
+              </button>
+            </motion.div>
+          </div>
+        )}
+      </AnimatePresence>
+
+      {/* Account Modal */}
       <AnimatePresence>
         {isModalOpen && (
           <div className="fixed inset-0 z-[1000] flex items-center justify-center p-6">
@@ -608,29 +2167,87 @@ function App() {
                 </div>
                 <div className="space-y-2">
                   <h3 className="text-2xl font-display font-bold text-haze">Identify Archivist</h3>
-                  <p className="text-haze/40 text-sm font-light">Sign your neural manifestation before it's vaulted.</p>
+                  <p className="text-haze/40 text-sm font-light">
+                    {saveAfterAuth ? "Sign in so your manifestation is vaulted under your name." : "Sign in to keep a vault of your own manifestations."}
+                  </p>
                 </div>
-                <input
-                  type="text"
-                  value={archivistName}
-                  onChange={(e) => setArchivistName(e.target.value)}
-                  placeholder="Enter your name..."
-                  className="w-full bg-white/[0.03] border border-white/10 rounded-2xl p-4 text-center text-xl font-bold focus:outline-none focus:ring-1 focus:ring-haze/20 transition-all placeholder:text-white/10"
-                  onKeyDown={(e) => e.key === 'Enter' && handleSaveToCloud()}
-                  autoFocus
-                />
-                <div className="grid grid-cols-2 gap-4 w-full pt-4">
-                  <button
-                    onClick={() => setIsModalOpen(false)}
-                    className="py-4 rounded-xl border border-white/5 hover:bg-white/5 text-haze/40 font-bold text-xs uppercase tracking-widest transition-all"
-                  >
-                    Cancel
-                  </button>
+                <div className="flex p-1 bg-white/5 rounded-full border border-white/10 text-[10px] font-black uppercase tracking-widest w-full">
+                  {[{ id: 'signin', label: 'Sign In' }, { id: 'signup', label: 'Create Account' }].map(option => (
+                    <button
+                      key={option.id}
+                      onClick={() => { setAuthMode(option.id); setAuthError(null); }}
+                      className={`flex-1 py-2 rounded-full transition-all ${authMode === option.id ? 'bg-haze text-papa-green' : 'text-haze/50 hover:text-haze'}`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                <form
+                  onSubmit={(e) => { e.preventDefault(); handleAuth(authMode); }}
+                  className="w-full space-y-3"
+                >
+                  {authMode === 'signup' && (
+                    <input
+                      type="text"
+                      value={authForm.displayName}
+                      onChange={(e) => setAuthForm({ ...authForm, displayName: e.target.value })}
+                      placeholder="Display name"
+                      className="w-full bg-white/[0.03] border border-white/10 rounded-2xl p-4 text-center font-bold focus:outline-none focus:ring-1 focus:ring-haze/20 transition-all placeholder:text-white/10"
+                    />
+                  )}
+                  <input
+                    type="email"
+                    value={authForm.email}
+                    onChange={(e) => setAuthForm({ ...authForm, email: e.target.value })}
+                    placeholder="Email"
+                    autoComplete="email"
+                    className="w-full bg-white/[0.03] border border-white/10 rounded-2xl p-4 text-center font-bold focus:outline-none focus:ring-1 focus:ring-haze/20 transition-all placeholder:text-white/10"
+                    autoFocus
+                  />
+                  <input
+                    type="password"
+                    value={authForm.password}
+                    onChange={(e) => setAuthForm({ ...authForm, password: e.target.value })}
+                    placeholder="Password"
+                    autoComplete={authMode === 'signup' ? 'new-password' : 'current-password'}
+                    className="w-full bg-white/[0.03] border border-white/10 rounded-2xl p-4 text-center font-bold focus:outline-none focus:ring-1 focus:ring-haze/20 transition-all placeholder:text-white/10"
+                  />
+                  {authError && (
+                    <p className="flex items-center justify-center gap-2 text-xs text-red-300"><AlertCircle size={14} /> {authError}</p>
+                  )}
+                  <div className="grid grid-cols-2 gap-4 w-full pt-2">
+                    <button
+                      type="button"
+                      onClick={() => setIsModalOpen(false)}
+                      className="py-4 rounded-xl border border-white/5 hover:bg-white/5 text-haze/40 font-bold text-xs uppercase tracking-widest transition-all"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={authBusy || !authForm.email || !authForm.password}
+                      className="py-4 rounded-xl bg-haze text-papa-green font-bold text-xs uppercase tracking-widest hover:scale-105 active:scale-95 transition-all shadow-xl shadow-haze/10 disabled:opacity-40 disabled:hover:scale-100"
+                    >
+                      {authBusy ? <Loader2 className="animate-spin mx-auto" size={16} /> : authMode === 'signup' ? 'Create Vault' : 'Authorize Vault'}
+                    </button>
+                  </div>
+                </form>
+                <div className="w-full pt-2 border-t border-white/5 space-y-3">
+                  {authMode === 'signin' && (
+                    <input
+                      type="text"
+                      value={authForm.displayName}
+                      onChange={(e) => setAuthForm({ ...authForm, displayName: e.target.value })}
+                      placeholder="Name for anonymous archiving..."
+                      className="w-full bg-transparent text-center text-sm text-haze/70 focus:outline-none placeholder:text-white/10 pt-3"
+                    />
+                  )}
                   <button
-                    onClick={handleSaveToCloud}
-                    className="py-4 rounded-xl bg-haze text-papa-green font-bold text-xs uppercase tracking-widest hover:scale-105 active:scale-95 transition-all shadow-xl shadow-haze/10"
+                    onClick={() => handleAuth('guest')}
+                    disabled={authBusy}
+                    className="w-full py-3 rounded-xl bg-white/5 border border-white/10 text-haze/60 hover:text-haze font-bold text-[10px] uppercase tracking-widest transition-all disabled:opacity-40"
                   >
-                    Authorize Vault
+                    Continue Anonymously
                   </button>
                 </div>
               </div>
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useRef } from 'react';
+import mermaid from 'mermaid';
+import { Undo2, Redo2, AlertCircle, Check } from 'lucide-react';
+
+const PARSE_DEBOUNCE_MS = 400;
+// Keystrokes closer together than this are undone as one step
+const UNDO_GROUP_MS = 800;
+const HISTORY_LIMIT = 200;
+
+const KEYWORDS = [
+  'graph', 'flowchart', 'sequenceDiagram', 'classDiagram', 'stateDiagram-v2', 'stateDiagram', 'erDiagram',
+  'gantt', 'mindmap', 'timeline', 'subgraph', 'end', 'participant', 'actor', 'note', 'Note', 'loop', 'alt',
+  'else', 'opt', 'par', 'and', 'rect', 'activate', 'deactivate', 'autonumber', 'class', 'state', 'section',
+  'title', 'dateFormat', 'axisFormat', 'direction', 'classDef', 'style', 'linkStyle', 'click',
+  'TD', 'TB', 'BT', 'LR', 'RL'
+];
+
+const TOKEN_PATTERN = new RegExp([
+  '(?<comment>%%.*)',
+  '(?<string>"[^"\\n]*"?)',
+  '(?<arrow><<-->>|-->>|->>|--x|--o|-\\.->|==>|-->|---|--|->|\\.\\.>|\\|\\|--o\\{|\\}o--\\|\\||[|}][|o]--[|o][|{]|\\|)',
+  `(?<keyword>\\b(?:${KEYWORDS.map((k) => k.replace(/-/g, '\\-')).join('|')})\\b)`,
+  '(?<bracket>[[\\](){}])',
+].join('|'), 'g');
+
+const TOKEN_CLASSES = {
+  comment: 'text-haze/30 italic',
+  string: 'text-amber-200',
+  arrow: 'text-papa-green-light font-bold',
+  keyword: 'text-sky-300 font-bold',
+  bracket: 'text-haze/50',
+};
+
+// Split Mermaid source into highlighted spans
+const highlight = (code) => {
+  const parts = [];
+  let last = 0;
+  for (const match of code.matchAll(TOKEN_PATTERN)) {
+    if (match.index > last) parts.push(code.slice(last, match.index));
+    const kind = Object.keys(match.groups).find((group) => match.groups[group] !== undefined);
+    parts.push(<span key={match.index} className={TOKEN_CLASSES[kind]}>{match[0]}</span>);
+    last = match.index + match[0].length;
+  }
+  parts.push(code.slice(last));
+  return parts;
+};
+
+// "Parse error on line 3:" -> 3
+const errorLine = (message) => Number(/line (\d+)/i.exec(message)?.[1]) || null;
+
+/**
+ * Syntax-highlighted Mermaid editor. Edits are parsed with `mermaid.parse`
+ * after a short pause; valid code is passed to `onChange`, invalid code
+ * shows the parser error inline. A new `value` from outside (a fresh
+ * generation, another turn) replaces the draft and its undo history.
+ */
+const MermaidEditor = ({ value, onChange }) => {
+  const [draft, setDraft] = useState(value);
+  const [syncedValue, setSyncedValue] = useState(value);
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [lastEditAt, setLastEditAt] = useState(0);
+  const [parseError, setParseError] = useState(null);
+  const textareaRef = useRef(null);
+  const highlightRef = useRef(null);
+  const gutterRef = useRef(null);
+  // The latest callback, so a new function from the parent doesn't restart the debounce
+  const onChangeRef = useRef(onChange);
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  });
+
+  // Take over a value that did not come from this editor
+  if (value !== syncedValue) {
+    setSyncedValue(value);
+    if (value !== draft) {
+      setDraft(value);
+      setHistory({ past: [], future: [] });
+      setParseError(null);
+    }
+  }
+
+  useEffect(() => {
+    if (draft === value) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        await mermaid.parse(draft);
+        if (cancelled) return;
+        setParseError(null);
+        setSyncedValue(draft);
+        onChangeRef.current(draft);
+      } catch (err) {
+        if (!cancelled) setParseError(err.message || String(err));
+      }
+    }, PARSE_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [draft, value]);
+
+  const edit = (next) => {
+    const now = Date.now();
+    setHistory(({ past }) => ({
+      past: now - lastEditAt < UNDO_GROUP_MS && past.length ? past : [...past, draft].slice(-HISTORY_LIMIT),
+      future: [],
+    }));
+    setLastEditAt(now);
+    setDraft(next);
+  };
+
+  const undo = () => {
+    if (!history.past.length) return;
+    setHistory({ past: history.past.slice(0, -1), future: [draft, ...history.future] });
+    setDraft(history.past[history.past.length - 1]);
+    setLastEditAt(0);
+  };
+
+  const redo = () => {
+    if (!history.future.length) return;
+    setHistory({ past: [...history.past, draft], future: history.future.slice(1) });
+    setDraft(history.future[0]);
+    setLastEditAt(0);
+  };
+
+  const handleKeyDown = (e) => {
+    const mod = e.metaKey || e.ctrlKey;
+    if (mod && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+    } else if (mod && e.key.toLowerCase() === 'y') {
+      e.preventDefault();
+      redo();
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      const { selectionStart, selectionEnd } = e.target;
+      edit(`${draft.slice(0, selectionStart)}  ${draft.slice(selectionEnd)}`);
+      requestAnimationFrame(() => textareaRef.current?.setSelectionRange(selectionStart + 2, selectionStart + 2));
+    }
+  };
+
+  // Keep the highlight layer and gutter aligned with the textarea
+  const handleScroll = (e) => {
+    highlightRef.current.scrollTop = e.target.scrollTop;
+    highlightRef.current.scrollLeft = e.target.scrollLeft;
+    gutterRef.current.scrollTop = e.target.scrollTop;
+  };
+
+  const badLine = parseError && errorLine(parseError);
+  const lines = draft.split('\n');
+  const pending = draft !== value && !parseError;
+
+  return (
+    <div className="flex flex-col h-full min-h-[420px] rounded-[2.5rem] bg-black/30 border border-white/5 overflow-hidden">
+      <div className="flex items-center justify-between px-6 py-3 border-b border-white/5">
+        <span className={`flex items-center gap-2 text-[10px] font-black uppercase tracking-widest ${parseError ? 'text-red-300' : 'text-haze/40'}`}>
+          {parseError ? <AlertCircle size={12} /> : <Check size={12} />}
+          {parseError ? `Parse error${badLine ? ` on line ${badLine}` : ''}` : pending ? 'Checking...' : 'Valid Mermaid'}
+        </span>
+        <div className="flex items-center gap-1">
+          <button onClick={undo} disabled={!history.past.length} title="Undo (Ctrl+Z)" className="p-2 rounded-full text-haze/50 hover:text-haze hover:bg-white/5 disabled:opacity-20 transition-all">
+            <Undo2 size={14} />
+          </button>
+          <button onClick={redo} disabled={!history.future.length} title="Redo (Ctrl+Shift+Z)" className="p-2 rounded-full text-haze/50 hover:text-haze hover:bg-white/5 disabled:opacity-20 transition-all">
+            <Redo2 size={14} />
+          </button>
+        </div>
+      </div>
+      <div className="relative flex flex-1 font-mono text-xs leading-6">
+        <div ref={gutterRef} className="select-none overflow-hidden py-4 px-3 text-right text-haze/20 border-r border-white/5">
+          {lines.map((_, i) => (
+            <div key={i} className={i + 1 === badLine ? 'text-red-300 bg-red-500/10 -mx-3 px-3' : ''}>{i + 1}</div>
+          ))}
+        </div>
+        <div className="relative flex-1">
+          <pre ref={highlightRef} aria-hidden className="absolute inset-0 m-0 p-4 overflow-hidden whitespace-pre text-haze/80 pointer-events-none">
+            {highlight(draft)}{'\n'}
+          </pre>
+          <textarea
+            ref={textareaRef}
+            value={draft}
+            onChange={(e) => edit(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onScroll={handleScroll}
+            spellCheck={false}
+            wrap="off"
+            aria-label="Mermaid source"
+            className="absolute inset-0 w-full h-full m-0 p-4 resize-none bg-transparent text-transparent caret-haze whitespace-pre overflow-auto outline-none selection:bg-haze/20"
+          />
+        </div>
+      </div>
+      {parseError && (
+        <pre className="m-0 px-6 py-3 border-t border-red-500/20 bg-red-500/10 text-[11px] font-mono text-red-200 whitespace-pre-wrap max-h-32 overflow-auto">{parseError}</pre>
+      )}
+    </div>
+  );
+};
+
+export default MermaidEditor;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useRef } from 'react';
+import mermaid from 'mermaid';
+import { Sparkles, Loader2, Link2, GitBranch, User, Clock } from 'lucide-react';
+import { getSharedManifestation } from './shares';
+
+/**
+ * Read-only page for a share link (`/v/:id`): the image, enhanced prompt
+ * and a live render of the diagram. Revoked, expired and deleted links
+ * show why they no longer open.
+ */
+const SharedView = ({ shareId }) => {
+  const [item, setItem] = useState(null);
+  const [error, setError] = useState(null);
+  const [diagramError, setDiagramError] = useState(null);
+  const diagramRef = useRef(null);
+
+  useEffect(() => {
+    getSharedManifestation(shareId)
+      .then(({ item }) => {
+        setItem(item);
+        document.title = `${item.prompt} · TextToVisual`;
+      })
+      .catch((err) => {
+        console.error("Shared View Error:", err);
+        setError(err.reason ? err.message : 'Failed to load this manifestation.');
+      });
+  }, [shareId]);
+
+  useEffect(() => {
+    if (!item?.mermaidCode || !diagramRef.current) return;
+    // Visitors didn't write this diagram, so no HTML labels or click handlers
+    mermaid.initialize({ startOnLoad: false, theme: 'dark', securityLevel: 'strict', fontFamily: 'Inter' });
+    mermaid.render(`shared-${shareId}`, item.mermaidCode)
+      .then(({ svg }) => {
+        if (diagramRef.current) diagramRef.current.innerHTML = svg;
+      })
+      .catch((err) => setDiagramError(err.message || String(err)));
+  }, [item, shareId]);
+
+  return (
+    <div className="min-h-screen relative selection:bg-papa-green-light selection:text-white pb-32">
+      <div className="mesh-bg" />
+      <main className="max-w-5xl mx-auto px-6 relative z-10">
+        <header className="py-8 flex items-center justify-between gap-8 mb-12">
+          <a href="/" className="flex items-center gap-5">
+            <div className="w-14 h-14 bg-papa-green rounded-2xl flex items-center justify-center ring-1 ring-white/20">
+              <Sparkles className="text-haze" size={28} />
+            </div>
+            <h2 className="text-2xl font-display font-black text-haze tracking-tight">AI Visual Suite</h2>
+          </a>
+          <span className="flex items-center gap-2 px-4 py-2 rounded-full bg-white/5 border border-white/10 text-[10px] font-black uppercase tracking-widest text-haze/40">
+            <Link2 size={12} /> Shared Manifestation
+          </span>
+        </header>
+
+        {error ? (
+          <div className="py-32 text-center space-y-6 border-2 border-dashed border-white/5 rounded-[4rem]">
+            <Link2 size={40} className="mx-auto text-haze/10" />
+            <h3 className="text-2xl font-bold">Link Unavailable</h3>
+            <p className="text-haze/40 max-w-sm mx-auto">{error}</p>
+            <a href="/" className="inline-block bg-haze text-papa-green px-10 py-4 rounded-full font-bold text-xs uppercase tracking-[0.2em]">Open the Suite</a>
+          </div>
+        ) : !item ? (
+          <div className="py-40 flex justify-center">
+            <Loader2 size={40} className="animate-spin text-haze/30" />
+          </div>
+        ) : (
+          <div className="space-y-12">
+            <div className="space-y-4">
+              <h1 className="text-4xl font-display font-bold text-haze leading-tight">{item.prompt}</h1>
+              <div className="flex flex-wrap items-center gap-3 text-[10px] font-bold uppercase tracking-widest">
+                {item.archivist && (
+                  <span className="flex items-center gap-2 text-papa-green-light bg-papa-green/30 px-3 py-1 rounded-full">
+                    <User size={10} /> {item.archivist}
+                  </span>
+                )}
+                {item.createdAt && (
+                  <span className="flex items-center gap-2 text-haze/30">
+                    <Clock size={12} /> {item.createdAt.toDate().toLocaleDateString()}
+                  </span>
+                )}
+                {item.style && <span className="text-haze/30">{item.style}</span>}
+              </div>
+            </div>
+
+            {(item.imageUrl || item.image) && (
+              <div className="rounded-[3.5rem] overflow-hidden shadow-[0_50px_100px_rgba(0,0,0,0.6)] ring-1 ring-white/10">
+                <img src={item.imageUrl || item.image} className="w-full h-auto" alt={item.prompt} />
+              </div>
+            )}
+
+            {item.enhancedPrompt && (
+              <div className="glass p-10 rounded-[3rem] border border-white/5">
+                <div className="flex items-center gap-3 mb-6 opacity-20">
+                  <Sparkles size={14} />
+                  <span className="text-[10px] font-black uppercase tracking-widest">Neural Polish</span>
+                </div>
+                <p className="text-lg font-light italic text-haze/70 leading-relaxed font-display">"{item.enhancedPrompt}"</p>
+              </div>
+            )}
+
+            {item.mermaidCode && (
+              <div className="glass-card p-10 rounded-[3.5rem] border border-white/5 space-y-6">
+                <div className="flex items-center gap-3 opacity-30">
+                  <GitBranch size={14} />
+                  <span className="text-[10px] font-black uppercase tracking-widest">Architectural Logic</span>
+                </div>
+                {diagramError ? (
+                  <pre className="text-xs font-mono text-haze/60 whitespace-pre-wrap">{item.mermaidCode}</pre>
+                ) : (
+                  <div ref={diagramRef} className="w-full overflow-auto flex justify-center" />
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default SharedView;
@@ -0,0 +1,61 @@
+import {
+  onAuthStateChanged, signInWithEmailAndPassword, createUserWithEmailAndPassword, signInAnonymously,
+  linkWithCredential, EmailAuthProvider, updateProfile, signOut
+} from 'firebase/auth';
+import { auth } from './firebase';
+
+/**
+ * Subscribe to sign-in changes; returns the unsubscribe function
+ */
+export const watchAuth = (callback) => onAuthStateChanged(auth, callback);
+
+/**
+ * `Authorization` header with the signed-in user's ID token, for backend calls
+ */
+export const authHeaders = async () => {
+  const token = await auth.currentUser?.getIdToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+export const signIn = async (email, password) => {
+  const { user } = await signInWithEmailAndPassword(auth, email, password);
+  return user;
+};
+
+/**
+ * Create an email/password account. An anonymous session is upgraded in
+ * place, so everything archived under it stays in the same vault.
+ */
+export const signUp = async (email, password, displayName) => {
+  const credential = EmailAuthProvider.credential(email, password);
+  const { user } = auth.currentUser?.isAnonymous
+    ? await linkWithCredential(auth.currentUser, credential)
+    : await createUserWithEmailAndPassword(auth, email, password);
+  if (displayName) await updateProfile(user, { displayName });
+  return user;
+};
+
+export const signInAsGuest = async (displayName) => {
+  const { user } = await signInAnonymously(auth);
+  if (displayName) await updateProfile(user, { displayName });
+  return user;
+};
+
+export const signOutUser = () => signOut(auth);
+
+/**
+ * Name shown on archived manifestations for a signed-in user
+ */
+export const displayNameOf = (user) => user?.displayName || user?.email?.split('@')[0] || 'Anonymous Archivist';
+
+/**
+ * Readable message for Firebase Auth error codes
+ */
+export const describeAuthError = (err) => ({
+  'auth/invalid-credential': 'Email or password is incorrect.',
+  'auth/invalid-email': 'That email address is not valid.',
+  'auth/email-already-in-use': 'An account with this email already exists.',
+  'auth/credential-already-in-use': 'An account with this email already exists.',
+  'auth/weak-password': 'Password must be at least 6 characters.',
+  'auth/operation-not-allowed': 'This sign-in method is not enabled for the project.',
+}[err.code] || err.message || 'Authentication failed.');
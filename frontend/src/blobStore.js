@@ -0,0 +1,123 @@
+import axios from 'axios';
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { collection, query, where, getDocs, updateDoc, deleteField } from 'firebase/firestore';
+import { db, storage } from './firebase';
+import { API_BASE_URL, BLOB_STORE } from './config';
+import { authHeaders } from './auth';
+
+const THUMBNAIL_SIZE = 384;
+
+// Firebase Storage (or its emulator, see firebase.js)
+const firebaseStore = {
+  put: async (path, blob) => {
+    const fileRef = ref(storage, path);
+    await uploadBytes(fileRef, blob, { contentType: blob.type });
+    return getDownloadURL(fileRef);
+  },
+  remove: (path) => deleteObject(ref(storage, path)),
+};
+
+// The backend's local filesystem store, for development without Firebase
+// Storage; with auth on, it only accepts writes under the caller's folder
+const localStore = {
+  put: async (path, blob) => {
+    const { data } = await axios.put(`${API_BASE_URL}/blobs/${path}`, blob, {
+      headers: { 'Content-Type': blob.type || 'application/octet-stream', ...await authHeaders() },
+    });
+    return data.url;
+  },
+  remove: async (path) => axios.delete(`${API_BASE_URL}/blobs/${path}`, { headers: await authHeaders() }),
+};
+
+export const blobStore = BLOB_STORE === 'local' ? localStore : firebaseStore;
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Failed to decode image'));
+  img.src = src;
+});
+
+// Scale the image down to fit THUMBNAIL_SIZE and re-encode it as JPEG
+const createThumbnail = async (img) => {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+};
+
+/**
+ * Upload an image data URL and a thumbnail of it under the owner's folder.
+ * Resolves to the fields stored on the `visuals` document in place of the
+ * inline image.
+ */
+export const archiveImage = async (dataUrl, ownerId) => {
+  const blob = await (await fetch(dataUrl)).blob();
+  const img = await loadImage(dataUrl);
+  const thumbnail = await createThumbnail(img);
+
+  const id = crypto.randomUUID();
+  const imagePath = `visuals/${ownerId}/${id}.${EXTENSIONS[blob.type] || 'bin'}`;
+  const thumbnailPath = `visuals/${ownerId}/${id}-thumb.jpg`;
+  const [imageUrl, thumbnailUrl] = await Promise.all([
+    blobStore.put(imagePath, blob),
+    blobStore.put(thumbnailPath, thumbnail),
+  ]);
+
+  return {
+    imageUrl,
+    imagePath,
+    thumbnailUrl,
+    thumbnailPath,
+    imageMeta: { contentType: blob.type, size: blob.size, width: img.naturalWidth, height: img.naturalHeight },
+  };
+};
+
+/**
+ * Delete the blobs belonging to a `visuals` document, if it has any
+ */
+export const removeArchivedImage = async (item) => {
+  const paths = [item.imagePath, item.thumbnailPath].filter(Boolean);
+  await Promise.all(paths.map((path) => blobStore.remove(path).catch((err) => {
+    console.warn(`Blob Delete Error (${path}):`, err);
+  })));
+};
+
+/**
+ * Move images still stored inline as data URLs (documents written before
+ * blob storage) into the blob store, under the folder of `ownerId` (the
+ * signed-in user running the migration). Only that user's documents and
+ * those archived before accounts, which have no owner, are touched; the
+ * rules refuse updates to anyone else's. A document that fails is logged
+ * and skipped. Calls `onProgress(done, total)` after each document and
+ * resolves to `{ migrated, failed }`.
+ */
+export const migrateInlineImages = async (ownerId, onProgress) => {
+  const snapshot = await getDocs(query(collection(db, 'visuals'), where('image', '!=', null)));
+  const legacy = snapshot.docs.filter((d) => {
+    const data = d.data();
+    return typeof data.image === 'string' && data.image.startsWith('data:') && (!data.ownerId || data.ownerId === ownerId);
+  });
+
+  let migrated = 0;
+  let failed = 0;
+  for (const docSnap of legacy) {
+    let fields;
+    try {
+      fields = await archiveImage(docSnap.data().image, ownerId);
+      await updateDoc(docSnap.ref, { ...fields, image: deleteField() });
+      migrated++;
+    } catch (err) {
+      // Don't leave the uploaded copy behind when the document kept its image
+      if (fields) await removeArchivedImage(fields);
+      console.error(`Migration Error (${docSnap.id}):`, err);
+      failed++;
+    }
+    onProgress?.(migrated + failed, legacy.length);
+  }
+  return { migrated, failed };
+};
@@ -0,0 +1,67 @@
+/**
+ * Runtime configuration from Vite env variables (see `.env.example`),
+ * checked once when the app loads
+ */
+const env = import.meta.env;
+const problems = [];
+
+const required = (name) => {
+  if (!env[name]) problems.push(`${name} is not set`);
+  return env[name];
+};
+
+// `host:port`, as the Firebase emulators print it
+const hostPort = (name) => {
+  const value = env[name];
+  if (!value) return undefined;
+  const [, host, port] = /^([^:/]+):(\d+)$/.exec(value) || [];
+  if (!host) {
+    problems.push(`${name} is "${value}"; expected host:port, e.g. localhost:8080`);
+    return undefined;
+  }
+  return { host, port: Number(port) };
+};
+
+const apiBaseUrl = (env.VITE_API_URL || '/api').replace(/\/$/, '');
+if (!/^(\/|https?:\/\/)/.test(apiBaseUrl)) {
+  problems.push(`VITE_API_URL is "${env.VITE_API_URL}"; expected a path such as /api or an http(s) URL`);
+}
+
+/**
+ * Backend root. The default `/api` goes through the Vite dev server's
+ * proxy; set VITE_API_URL to the backend's URL for other builds.
+ */
+export const API_BASE_URL = apiBaseUrl;
+
+/**
+ * @type {import('firebase/app').FirebaseOptions}
+ */
+export const FIREBASE_CONFIG = {
+  apiKey: required('VITE_FIREBASE_API_KEY'),
+  authDomain: required('VITE_FIREBASE_AUTH_DOMAIN'),
+  projectId: required('VITE_FIREBASE_PROJECT_ID'),
+  storageBucket: required('VITE_FIREBASE_STORAGE_BUCKET'),
+  messagingSenderId: env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: required('VITE_FIREBASE_APP_ID'),
+};
+
+/**
+ * Firebase emulators to connect to, each `{ host, port }` or undefined
+ */
+export const EMULATORS = {
+  auth: hostPort('VITE_AUTH_EMULATOR_HOST'),
+  firestore: hostPort('VITE_FIRESTORE_EMULATOR_HOST'),
+  storage: hostPort('VITE_STORAGE_EMULATOR_HOST'),
+};
+
+/**
+ * Where archived images go: 'firebase' (Storage) or 'local' (the backend)
+ */
+export const BLOB_STORE = env.VITE_BLOB_STORE || 'firebase';
+if (!['firebase', 'local'].includes(BLOB_STORE)) {
+  problems.push(`VITE_BLOB_STORE is "${BLOB_STORE}"; use firebase or local`);
+}
+
+if (problems.length) {
+  throw new Error(`Invalid frontend configuration (copy frontend/.env.example to frontend/.env):\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+}
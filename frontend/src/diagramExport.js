@@ -0,0 +1,70 @@
+import axios from 'axios';
+import { API_BASE_URL } from './config';
+import { authHeaders } from './auth';
+
+// Background of the workspace, used for "themed" PNG exports
+export const THEMED_BACKGROUND = '#0d1a18';
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Standalone SVG document for a rendered Mermaid diagram
+ */
+export const serializeSvg = (svg) => {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+};
+
+/**
+ * Rasterize a rendered SVG at `scale` times its size. `background` is a CSS
+ * color, or null for a transparent PNG. Resolves to a PNG Blob.
+ */
+export const svgToPng = async (svg, { scale = 3, background = null } = {}) => {
+  const { width, height } = svg.viewBox.baseVal?.width ? svg.viewBox.baseVal : svg.getBoundingClientRect();
+  const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: 'image/svg+xml' }));
+  try {
+    const img = await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Failed to load diagram SVG'));
+      image.src = url;
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    const context = canvas.getContext('2d');
+    if (background) {
+      context.fillStyle = background;
+      context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return await new Promise((resolve, reject) => canvas.toBlob(
+      (blob) => blob ? resolve(blob) : reject(new Error('Failed to encode PNG')),
+      'image/png'
+    ));
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Render Mermaid source with the backend's /render-diagram (svg, png or pdf).
+ * Resolves to a Blob.
+ */
+export const renderOnServer = async (mermaidCode, { format, theme = 'dark', background = 'transparent', scale = 3 }) => {
+  const { data } = await axios.post(`${API_BASE_URL}/render-diagram`, { mermaidCode, format, theme, background, scale }, {
+    responseType: 'blob',
+    headers: await authHeaders(),
+  });
+  return data;
+};
@@ -0,0 +1,137 @@
+import {
+  collection, query, where, orderBy, limit, startAfter, getDocs, updateDoc, Timestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+
+export const HISTORY_PAGE_SIZE = 12;
+
+export const SORT_OPTIONS = [
+  { id: 'newest', name: 'Newest First' },
+  { id: 'oldest', name: 'Oldest First' }
+];
+
+export const DEFAULT_HISTORY_FILTERS = {
+  q: '',
+  style: '',
+  archivist: '',
+  from: '',
+  to: '',
+  hasImage: false,
+  hasDiagram: false,
+  mine: false,
+  sort: 'newest',
+};
+
+/**
+ * Lower-cased, de-duplicated words of a text, as stored in `searchTokens`
+ */
+export const tokenize = (text = '') =>
+  [...new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((word) => word.length > 1))];
+
+/**
+ * Derived fields every `visuals` document carries so history can be
+ * searched and filtered in Firestore
+ */
+export const buildSearchFields = ({ prompt, enhancedPrompt, imageUrl, image, mermaidCode }) => ({
+  searchTokens: tokenize(`${prompt || ''} ${enhancedPrompt || ''}`),
+  hasImage: Boolean(imageUrl || image),
+  hasDiagram: Boolean(mermaidCode),
+});
+
+/**
+ * Read the history filters from a location search string (`?q=...&style=...`)
+ */
+export const filtersFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  return {
+    ...DEFAULT_HISTORY_FILTERS,
+    ...Object.fromEntries(['q', 'style', 'archivist', 'from', 'to', 'sort']
+      .filter((key) => params.has(key))
+      .map((key) => [key, params.get(key)])),
+    hasImage: params.get('has')?.split(',').includes('image') || false,
+    hasDiagram: params.get('has')?.split(',').includes('diagram') || false,
+    mine: params.get('vault') === 'mine',
+  };
+};
+
+/**
+ * Write the non-default history filters into URL search params
+ */
+export const filtersToSearch = (filters, base = '') => {
+  const params = new URLSearchParams(base);
+  for (const key of ['q', 'style', 'archivist', 'from', 'to', 'sort', 'has', 'vault']) params.delete(key);
+  for (const key of ['q', 'style', 'archivist', 'from', 'to']) {
+    if (filters[key]) params.set(key, filters[key]);
+  }
+  if (filters.sort !== DEFAULT_HISTORY_FILTERS.sort) params.set('sort', filters.sort);
+  const has = [filters.hasImage && 'image', filters.hasDiagram && 'diagram'].filter(Boolean);
+  if (has.length) params.set('has', has.join(','));
+  if (filters.mine) params.set('vault', 'mine');
+  return params.toString();
+};
+
+/**
+ * Fetch one page of `visuals` matching the filters, starting after `cursor`
+ * (the last document snapshot of the previous page). Firestore can only
+ * match one search token, so the longest one is queried and the remaining
+ * ones are checked on the returned page. `ownerId` is the signed-in user,
+ * whose entries alone are listed when `filters.mine` is set.
+ * Resolves to `{ items, cursor, hasMore }`.
+ */
+export const fetchHistoryPage = async (filters, { cursor = null, ownerId } = {}) => {
+  const tokens = tokenize(filters.q).sort((a, b) => b.length - a.length);
+  const constraints = [];
+
+  if (filters.mine) constraints.push(where('ownerId', '==', ownerId));
+  if (filters.style) constraints.push(where('style', '==', filters.style));
+  if (filters.archivist) constraints.push(where('archivist', '==', filters.archivist));
+  if (filters.hasImage) constraints.push(where('hasImage', '==', true));
+  if (filters.hasDiagram) constraints.push(where('hasDiagram', '==', true));
+  if (tokens.length) constraints.push(where('searchTokens', 'array-contains', tokens[0]));
+  if (filters.from) constraints.push(where('createdAt', '>=', Timestamp.fromDate(new Date(`${filters.from}T00:00:00`))));
+  if (filters.to) constraints.push(where('createdAt', '<=', Timestamp.fromDate(new Date(`${filters.to}T23:59:59.999`))));
+
+  constraints.push(orderBy('createdAt', filters.sort === 'oldest' ? 'asc' : 'desc'));
+  if (cursor) constraints.push(startAfter(cursor));
+  constraints.push(limit(HISTORY_PAGE_SIZE));
+
+  const snapshot = await getDocs(query(collection(db, 'visuals'), ...constraints));
+  const items = snapshot.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((item) => tokens.slice(1).every((token) => item.searchTokens?.includes(token)));
+
+  return {
+    items,
+    cursor: snapshot.docs[snapshot.docs.length - 1] || cursor,
+    hasMore: snapshot.docs.length === HISTORY_PAGE_SIZE,
+  };
+};
+
+/**
+ * Add the search and filter fields to documents saved before they existed,
+ * for the documents `ownerId` may update: their own and those with no
+ * owner. A document that fails is logged and skipped. Reads the whole
+ * collection, so it is meant as a one-off upgrade. Resolves to
+ * `{ updated, failed }`.
+ */
+export const backfillSearchFields = async (ownerId, onProgress) => {
+  const snapshot = await getDocs(collection(db, 'visuals'));
+  const legacy = snapshot.docs.filter((d) => {
+    const data = d.data();
+    return !Array.isArray(data.searchTokens) && (!data.ownerId || data.ownerId === ownerId);
+  });
+
+  let updated = 0;
+  let failed = 0;
+  for (const docSnap of legacy) {
+    try {
+      await updateDoc(docSnap.ref, buildSearchFields(docSnap.data()));
+      updated++;
+    } catch (err) {
+      console.error(`Search Backfill Error (${docSnap.id}):`, err);
+      failed++;
+    }
+    onProgress?.(updated + failed, legacy.length);
+  }
+  return { updated, failed };
+};
@@ -2,9 +2,14 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import SharedView from './SharedView.jsx'
+import { shareIdFromPath } from './shares'
+
+// Share links (/v/:id) get the read-only view instead of the workspace
+const shareId = shareIdFromPath(window.location.pathname)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {shareId ? <SharedView shareId={shareId} /> : <App />}
   </StrictMode>,
 )
@@ -0,0 +1,150 @@
+import mermaid from 'mermaid';
+import { zip, unzip, strToU8, strFromU8 } from 'fflate';
+import { collection, addDoc, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { archiveImage } from './blobStore';
+import { buildSearchFields, fetchHistoryPage } from './history';
+import { serializeSvg, svgToPng } from './diagramExport';
+
+// Package layout: index.json at the root and one folder per manifestation
+// holding manifest.json (every document field), the image, and the diagram
+// as diagram.svg, diagram.png and diagram.mmd source.
+export const PACKAGE_FORMAT = 'text-to-visual-package';
+export const PACKAGE_VERSION = 1;
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+const CONTENT_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([type, ext]) => [ext, type]));
+
+// Fields that point at this project's blobs or are derived; re-created on import
+const PROJECT_FIELDS = ['id', 'image', 'imageUrl', 'imagePath', 'thumbnailUrl', 'thumbnailPath', 'imageMeta', 'searchTokens', 'hasImage', 'hasDiagram'];
+
+// Firestore Timestamps become ISO strings in the manifest
+const toJson = (item) => JSON.parse(JSON.stringify(item, (key, value) => (
+  value && typeof value.toDate === 'function' ? value.toDate().toISOString() : value
+)));
+
+// "A castle in the clouds" -> "a-castle-in-the-clouds"
+const slugify = (text = '') => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'manifestation';
+
+const renderSvg = async (code) => {
+  const { svg } = await mermaid.render(`package-${crypto.randomUUID()}`, code);
+  return new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement;
+};
+
+// The files of one manifestation, keyed by their name inside its folder
+const packageFiles = async (item) => {
+  // Legacy documents hold the image inline; it is packaged as a file instead
+  const files = { 'manifest.json': strToU8(JSON.stringify(toJson({ ...item, image: undefined }), null, 2)) };
+
+  const src = item.imageUrl || item.image;
+  if (src) {
+    const response = await fetch(src);
+    if (!response.ok) throw new Error(`Failed to fetch the image of "${item.prompt}" (${response.status})`);
+    const blob = await response.blob();
+    files[`image.${EXTENSIONS[blob.type] || 'bin'}`] = new Uint8Array(await blob.arrayBuffer());
+  }
+
+  if (item.mermaidCode) {
+    files['diagram.mmd'] = strToU8(item.mermaidCode);
+    try {
+      const svg = await renderSvg(item.mermaidCode);
+      files['diagram.svg'] = strToU8(serializeSvg(svg));
+      files['diagram.png'] = new Uint8Array(await (await svgToPng(svg, { scale: 2 })).arrayBuffer());
+    } catch (err) {
+      // The .mmd source is still packaged
+      console.warn(`Package Diagram Error (${item.id}):`, err);
+    }
+  }
+  return files;
+};
+
+const zipAsync = (files) => new Promise((resolve, reject) => {
+  zip(files, { level: 6 }, (err, data) => err ? reject(err) : resolve(data));
+});
+
+const unzipAsync = (bytes) => new Promise((resolve, reject) => {
+  unzip(bytes, (err, data) => err ? reject(err) : resolve(data));
+});
+
+/**
+ * Zip manifestations (`visuals` documents, with `id`) into a package.
+ * Calls `onProgress(done, total)` after each one and resolves to a Blob.
+ */
+export const exportPackage = async (items, { filters = null, onProgress } = {}) => {
+  const files = {};
+  const folders = [];
+  for (const [index, item] of items.entries()) {
+    const folder = `${String(index + 1).padStart(3, '0')}-${slugify(item.prompt)}`;
+    files[folder] = await packageFiles(item);
+    folders.push(folder);
+    onProgress?.(index + 1, items.length);
+  }
+  files['index.json'] = strToU8(JSON.stringify({
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    filters,
+    items: folders,
+  }, null, 2));
+  return new Blob([await zipAsync(files)], { type: 'application/zip' });
+};
+
+/**
+ * Every manifestation matching the history `filters`, read page by page
+ */
+export const fetchAllHistory = async (filters, { ownerId, onProgress } = {}) => {
+  const items = [];
+  let cursor = null;
+  let hasMore = true;
+  while (hasMore) {
+    const page = await fetchHistoryPage(filters, { cursor, ownerId });
+    items.push(...page.items);
+    ({ cursor, hasMore } = page);
+    onProgress?.(items.length);
+  }
+  return items;
+};
+
+const readDataUrl = (bytes, type) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(new Blob([bytes], { type }));
+});
+
+/**
+ * Recreate the manifestations of a package as new `visuals` documents owned
+ * by `owner` (`{ uid, archivist }`), uploading their images to the blob store.
+ * The original `createdAt` is kept. Calls `onProgress(done, total)` and
+ * resolves to the number imported.
+ */
+export const importPackage = async (file, owner, onProgress) => {
+  const entries = await unzipAsync(new Uint8Array(await file.arrayBuffer()));
+  const index = entries['index.json'] && JSON.parse(strFromU8(entries['index.json']));
+  if (index?.format !== PACKAGE_FORMAT) throw new Error('Not a manifestation package (index.json is missing).');
+  if (index.version > PACKAGE_VERSION) throw new Error(`Package version ${index.version} is newer than this app supports.`);
+
+  let done = 0;
+  for (const folder of index.items) {
+    const manifest = entries[`${folder}/manifest.json`];
+    if (!manifest) throw new Error(`Package entry "${folder}" has no manifest.json.`);
+    const item = JSON.parse(strFromU8(manifest));
+
+    const imageName = Object.keys(entries).find((name) => name.startsWith(`${folder}/image.`));
+    const image = imageName && await readDataUrl(entries[imageName], CONTENT_TYPES[imageName.split('.').pop()] || 'application/octet-stream');
+    const imageFields = image ? await archiveImage(image, owner.uid) : {};
+
+    const fields = Object.fromEntries(Object.entries(item).filter(([key]) => !PROJECT_FIELDS.includes(key)));
+    await addDoc(collection(db, 'visuals'), {
+      ...fields,
+      ...imageFields,
+      ownerId: owner.uid,
+      archivist: owner.archivist,
+      ...buildSearchFields({ ...item, imageUrl: imageFields.imageUrl, image: undefined }),
+      createdAt: item.createdAt ? Timestamp.fromDate(new Date(item.createdAt)) : serverTimestamp(),
+      importedAt: serverTimestamp(),
+    });
+    onProgress?.(++done, index.items.length);
+  }
+  return done;
+};
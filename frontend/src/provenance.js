@@ -0,0 +1,164 @@
+// Generation metadata travels inside downloaded PNGs as iTXt chunks, so a
+// file can be dropped back into the workspace to restore its manifestation.
+
+// Keyword of the chunk holding the JSON record
+export const METADATA_KEYWORD = 'TextToVisual';
+export const METADATA_VERSION = 1;
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const isPng = (bytes) => PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+
+// Split a PNG into its chunks: { type, data, start, end } with `end` past the CRC
+const readChunks = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (end > bytes.length) break;
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length), start: offset, end });
+    if (type === 'IEND') break;
+    offset = end;
+  }
+  return chunks;
+};
+
+// An uncompressed iTXt chunk: keyword, flags, empty language and translated keyword, UTF-8 text
+const itxtChunk = (keyword, text) => {
+  const encoder = new TextEncoder();
+  const body = [...encoder.encode(keyword), 0, 0, 0, 0, 0, ...encoder.encode(text)];
+  const typeAndData = new Uint8Array([...encoder.encode('iTXt'), ...body]);
+  const chunk = new Uint8Array(12 + body.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, body.length);
+  chunk.set(typeAndData, 4);
+  view.setUint32(8 + body.length, crc32(typeAndData));
+  return chunk;
+};
+
+// Text of an uncompressed iTXt or tEXt chunk, keyed by its keyword
+const readTextChunk = ({ type, data }) => {
+  const keywordEnd = data.indexOf(0);
+  const keyword = new TextDecoder('latin1').decode(data.subarray(0, keywordEnd));
+  if (type === 'tEXt') return { keyword, text: new TextDecoder('latin1').decode(data.subarray(keywordEnd + 1)) };
+  if (data[keywordEnd + 1] !== 0) return { keyword, text: null }; // compressed
+  let offset = keywordEnd + 3;
+  offset = data.indexOf(0, offset) + 1; // language tag
+  offset = data.indexOf(0, offset) + 1; // translated keyword
+  return { keyword, text: new TextDecoder().decode(data.subarray(offset)) };
+};
+
+/**
+ * Copy of `bytes` (a PNG) with `metadata` stored as JSON in an iTXt chunk
+ * and the enhanced prompt, or else the prompt, as its `Description`, which
+ * other image tools show. Chunks from an earlier embed are replaced.
+ */
+export const embedMetadata = (bytes, metadata) => {
+  if (!isPng(bytes)) throw new Error('Not a PNG file');
+  const ours = [METADATA_KEYWORD, 'Description'];
+  const chunks = readChunks(bytes).filter((chunk) => !(chunk.type === 'iTXt' && ours.includes(readTextChunk(chunk).keyword)));
+  const description = metadata.enhancedPrompt || metadata.prompt;
+  const added = [
+    itxtChunk(METADATA_KEYWORD, JSON.stringify({ version: METADATA_VERSION, ...metadata })),
+    ...(description ? [itxtChunk('Description', description)] : []),
+  ];
+
+  // Right after IHDR, so readers find them without scanning the image data
+  const parts = [new Uint8Array(PNG_SIGNATURE)];
+  chunks.forEach((chunk, index) => {
+    parts.push(bytes.subarray(chunk.start, chunk.end));
+    if (index === 0) parts.push(...added);
+  });
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((offset, part) => {
+    result.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return result;
+};
+
+/**
+ * The metadata record embedded by `embedMetadata`, or null when `bytes` is
+ * not a PNG or carries none.
+ */
+export const readMetadata = (bytes) => {
+  if (!isPng(bytes)) return null;
+  for (const chunk of readChunks(bytes)) {
+    if (chunk.type !== 'iTXt' && chunk.type !== 'tEXt') continue;
+    const { keyword, text } = readTextChunk(chunk);
+    if (keyword !== METADATA_KEYWORD || !text) continue;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return null;
+    }
+  }
+  return null;
+};
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Failed to load image'));
+  img.src = src;
+});
+
+/**
+ * PNG bytes for an image URL (data URL or archived blob). PNGs are kept
+ * as they are; anything else is drawn to a canvas and re-encoded.
+ */
+export const imageToPng = async (src) => {
+  const response = await fetch(src);
+  if (!response.ok) throw new Error(`Failed to fetch image (${response.status})`);
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  if (isPng(bytes)) return bytes;
+
+  const url = URL.createObjectURL(new Blob([bytes], { type: response.headers.get('content-type') || '' }));
+  try {
+    const img = await loadImage(url);
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    canvas.getContext('2d').drawImage(img, 0, 0);
+    const blob = await new Promise((resolve, reject) => canvas.toBlob(
+      (png) => png ? resolve(png) : reject(new Error('Failed to encode PNG')),
+      'image/png'
+    ));
+    return new Uint8Array(await blob.arrayBuffer());
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Read a dropped or picked file. Resolves to `{ metadata, image }` where
+ * `image` is the file as a data URL, ready to archive again.
+ */
+export const readManifestFile = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const metadata = readMetadata(bytes);
+  if (!metadata) throw new Error('This file carries no manifestation metadata. Only PNGs downloaded from this app can be imported.');
+  const image = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(new Blob([bytes], { type: 'image/png' }));
+  });
+  return { metadata, image };
+};
@@ -0,0 +1,75 @@
+import {
+  collection, query, where, getDocs, getDoc, addDoc, updateDoc, doc, serverTimestamp, Timestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+
+// Choices offered when creating a link; null days never expire
+export const SHARE_EXPIRY_OPTIONS = [
+  { days: null, label: 'Never' },
+  { days: 1, label: '24 hours' },
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+];
+
+const sharesCollection = () => collection(db, 'shares');
+
+/**
+ * The share id in a `/v/:id` path, or null on any other route
+ */
+export const shareIdFromPath = (pathname) => /^\/v\/([A-Za-z0-9_-]+)\/?$/.exec(pathname)?.[1] || null;
+
+export const shareUrl = (id) => `${window.location.origin}/v/${id}`;
+
+export const isShareActive = (share) => !share.revoked && (!share.expiresAt || share.expiresAt.toDate() > new Date());
+
+/**
+ * Create a read-only link to a manifestation owned by `ownerId`.
+ * Resolves to the new share's id.
+ */
+export const createShare = async (visualId, ownerId, { expiresInDays = null } = {}) => {
+  const ref = await addDoc(sharesCollection(), {
+    visualId,
+    ownerId,
+    revoked: false,
+    expiresAt: expiresInDays ? Timestamp.fromMillis(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+    createdAt: serverTimestamp(),
+  });
+  return ref.id;
+};
+
+/**
+ * The owner's links to one manifestation, newest first
+ */
+export const listShares = async (visualId, ownerId) => {
+  const snapshot = await getDocs(query(sharesCollection(), where('visualId', '==', visualId), where('ownerId', '==', ownerId)));
+  return snapshot.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => (b.createdAt?.toMillis() || Date.now()) - (a.createdAt?.toMillis() || Date.now()));
+};
+
+export const revokeShare = (id) => updateDoc(doc(db, 'shares', id), { revoked: true, revokedAt: serverTimestamp() });
+
+/**
+ * The manifestation behind a share link. Throws an error whose `reason` is
+ * `missing`, `gone` (revoked or expired) or `deleted`. The visual itself is
+ * public like every Visual Crypt entry: revocation and expiry close the
+ * link, they don't hide the entry from anyone who knows its id.
+ */
+export const getSharedManifestation = async (id) => {
+  const fail = (reason, message) => Object.assign(new Error(message), { reason });
+
+  let share;
+  try {
+    share = await getDoc(doc(db, 'shares', id));
+  } catch (err) {
+    // The security rules refuse revoked and expired links
+    if (err.code === 'permission-denied') throw fail('gone', 'This share link has expired or been revoked.');
+    throw err;
+  }
+  if (!share.exists()) throw fail('missing', 'This share link does not exist.');
+  if (!isShareActive(share.data())) throw fail('gone', 'This share link has expired or been revoked.');
+
+  const visual = await getDoc(doc(db, 'visuals', share.data().visualId));
+  if (!visual.exists()) throw fail('deleted', 'The shared manifestation has been deleted.');
+  return { share: { id: share.id, ...share.data() }, item: { id: visual.id, ...visual.data() } };
+};
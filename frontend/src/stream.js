@@ -0,0 +1,36 @@
+/**
+ * POST a JSON body and read the Server-Sent Events response,
+ * calling `onEvent(event, data)` for every message as it arrives.
+ */
+export const streamEvents = async (url, body, onEvent, { signal, headers } = {}) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw Object.assign(new Error(data.error || `Request failed with status ${response.status}`), { response: { status: response.status, data } });
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true });
+
+    // Messages are separated by a blank line
+    const messages = buffered.split('\n\n');
+    buffered = messages.pop();
+    for (const message of messages) {
+      const event = message.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = message.match(/^data: (.*)$/m)?.[1];
+      onEvent(event, data ? JSON.parse(data) : {});
+    }
+  }
+};
@@ -0,0 +1,71 @@
+import {
+  collection, query, where, getDocs, getDoc, addDoc, updateDoc, deleteDoc, doc, serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+
+export const EMPTY_STYLE = {
+  name: '',
+  promptSuffix: '',
+  negativePrompt: '',
+  defaults: { aspectRatio: '', steps: '' },
+  referenceExample: '',
+  shared: false,
+};
+
+const stylesCollection = () => collection(db, 'styles');
+
+/**
+ * Presets the user can pick: their own plus every shared one, by name
+ */
+export const listStyles = async (ownerId) => {
+  const queries = [query(stylesCollection(), where('shared', '==', true))];
+  if (ownerId) queries.push(query(stylesCollection(), where('ownerId', '==', ownerId)));
+
+  const snapshots = await Promise.all(queries.map((q) => getDocs(q)));
+  const byId = new Map(snapshots.flatMap((snapshot) => snapshot.docs.map((d) => [d.id, { id: d.id, ...d.data() }])));
+  return [...byId.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * A single preset, e.g. from a share link; null when missing or private
+ */
+export const getStyle = async (id) => {
+  try {
+    const snapshot = await getDoc(doc(db, 'styles', id));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+  } catch (err) {
+    if (err.code === 'permission-denied') return null;
+    throw err;
+  }
+};
+
+/**
+ * Create or update a preset owned by `owner`. Resolves to its id.
+ */
+export const saveStyle = async ({ id, ...preset }, owner) => {
+  const data = {
+    name: preset.name.trim(),
+    promptSuffix: preset.promptSuffix.trim(),
+    negativePrompt: preset.negativePrompt.trim(),
+    defaults: {
+      aspectRatio: preset.defaults.aspectRatio || null,
+      steps: preset.defaults.steps ? Number(preset.defaults.steps) : null,
+    },
+    referenceExample: preset.referenceExample.trim(),
+    shared: Boolean(preset.shared),
+  };
+
+  if (id) {
+    await updateDoc(doc(db, 'styles', id), data);
+    return id;
+  }
+  const ref = await addDoc(stylesCollection(), { ...data, ownerId: owner.uid, ownerName: owner.displayName || 'Anonymous Archivist', createdAt: serverTimestamp() });
+  return ref.id;
+};
+
+export const deleteStyle = (id) => deleteDoc(doc(db, 'styles', id));
+
+/**
+ * Link that opens the workspace with the preset selected
+ */
+export const styleShareUrl = (id) => `${window.location.origin}${window.location.pathname}?styleId=${encodeURIComponent(id)}`;
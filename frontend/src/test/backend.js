@@ -0,0 +1,70 @@
+import { vi } from 'vitest';
+import { API_BASE_URL } from '../config';
+
+/**
+ * A Server-Sent Events response carrying `events` (`[event, data]` pairs),
+ * as /manifest/stream sends them: one message at a time, each after a
+ * short wait like a provider call
+ */
+export const eventStream = (events, { delayMs = 5 } = {}) => {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    async start(controller) {
+      for (const [event, data = {}] of events) {
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+      }
+      controller.close();
+    },
+  });
+  return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+export const jsonResponse = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+/**
+ * Answer the app's backend calls with `handler({ path, body })`, which
+ * returns a Response. Every other request (Firebase emulators, ...) goes
+ * through. Resolves to the spy, whose `backendCalls()` lists what the app
+ * sent.
+ */
+export const mockBackend = (handler) => {
+  const passThrough = globalThis.fetch;
+  const calls = [];
+  const spy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (input, init = {}) => {
+    const url = String(input instanceof Request ? input.url : input);
+    if (!url.startsWith(API_BASE_URL)) return passThrough(input, init);
+    const call = { path: url.slice(API_BASE_URL.length), body: init.body ? JSON.parse(init.body) : undefined };
+    calls.push(call);
+    return handler(call);
+  });
+  spy.backendCalls = () => calls;
+  return spy;
+};
+
+// A 1x1 PNG as the generated image
+export const IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+// The parameters the backend echoes for the default 1:1 aspect ratio
+export const PARAMETERS = { width: 1024, height: 1024, seed: 42 };
+
+export const DIAGRAM = 'graph TD\n  A[Keeper] --> B[Lamp]';
+
+/**
+ * Stream events for a successful image and diagram, with overrides per stage
+ */
+export const manifestStream = ({ enhancement = { mode: 'enhanced', fallback: false }, imageEvents, diagramEvents } = {}) => ({ body }) => {
+  if (body.mode === 'image') {
+    return eventStream(imageEvents || [
+      ['enhanced', { enhancedPrompt: `${body.prompt}, golden hour, volumetric fog`, enhancement }],
+      ['image-queued', { provider: 'mock', model: 'mock-image', parameters: PARAMETERS, count: 1 }],
+      ['image', { index: 0, image: IMAGE, parameters: PARAMETERS, provider: 'mock', model: 'mock-image' }],
+      ['done'],
+    ]);
+  }
+  return eventStream(diagramEvents || [
+    ['diagram-token', { token: DIAGRAM }],
+    ['diagram', { mermaidCode: DIAGRAM, repaired: false }],
+    ['done'],
+  ]);
+};
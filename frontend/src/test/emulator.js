@@ -0,0 +1,19 @@
+import { db } from '../firebase';
+
+const FIRESTORE_HOST = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST;
+const AUTH_HOST = import.meta.env.VITE_AUTH_EMULATOR_HOST;
+
+/**
+ * Whether the Firestore and Auth emulators are configured; the tests that
+ * write to Firestore only run against them
+ */
+export const emulatorsEnabled = Boolean(FIRESTORE_HOST && AUTH_HOST);
+
+/**
+ * Delete every document and account in the emulators
+ */
+export const clearEmulators = async () => {
+  const { projectId } = db.app.options;
+  await fetch(`http://${FIRESTORE_HOST}/emulator/v1/projects/${projectId}/databases/(default)/documents`, { method: 'DELETE' });
+  await fetch(`http://${AUTH_HOST}/emulator/v1/projects/${projectId}/accounts`, { method: 'DELETE' });
+};
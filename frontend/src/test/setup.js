@@ -0,0 +1,26 @@
+import '@testing-library/jest-dom/vitest';
+import { afterEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// jsdom has no layout, so Mermaid can't measure its labels; diagrams
+// render as a stub that shows their source
+vi.mock('mermaid', () => ({
+  default: {
+    initialize: vi.fn(),
+    render: vi.fn(async (id, code) => ({ svg: `<svg data-testid="mermaid-diagram"><text>${code}</text></svg>` })),
+    parse: vi.fn(async () => true),
+  },
+}));
+
+// Browser APIs jsdom lacks
+globalThis.IntersectionObserver ??= class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+window.matchMedia ??= (query) => ({ matches: false, media: query, addEventListener() {}, removeEventListener() {} });
+
+afterEach(() => {
+  cleanup();
+  window.history.replaceState(null, '', '/');
+});
@@ -1,14 +1,46 @@
-import { defineConfig } from 'vite'
+import process from 'node:process'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [
-    react(),
-    tailwindcss(),
-  ],
-  server: {
-    port: 3000,
-  },
+export default defineConfig(({ mode }) => {
+  // BACKEND_URL is only read here, so it has no VITE_ prefix
+  const { BACKEND_URL = 'http://localhost:3000' } = loadEnv(mode, process.cwd(), '')
+
+  return {
+    plugins: [
+      react(),
+      tailwindcss(),
+    ],
+    server: {
+      port: 5173,
+      // The app calls the backend at /api (VITE_API_URL) during development
+      proxy: {
+        '/api': {
+          target: BACKEND_URL,
+          changeOrigin: true,
+          rewrite: (path) => path.replace(/^\/api/, ''),
+        },
+      },
+    },
+    test: {
+      environment: 'jsdom',
+      setupFiles: './src/test/setup.js',
+      env: {
+        // A demo project, which the emulators serve without a real one
+        VITE_FIREBASE_API_KEY: 'demo-api-key',
+        VITE_FIREBASE_AUTH_DOMAIN: 'demo-texttovisual.firebaseapp.com',
+        VITE_FIREBASE_PROJECT_ID: 'demo-texttovisual',
+        VITE_FIREBASE_STORAGE_BUCKET: 'demo-texttovisual.appspot.com',
+        VITE_FIREBASE_APP_ID: 'demo-app-id',
+        VITE_API_URL: '/api',
+        // The emulators' own variables, as set by `firebase emulators:exec`
+        ...Object.fromEntries(Object.entries({
+          VITE_FIRESTORE_EMULATOR_HOST: process.env.FIRESTORE_EMULATOR_HOST,
+          VITE_AUTH_EMULATOR_HOST: process.env.FIREBASE_AUTH_EMULATOR_HOST,
+        }).filter(([, value]) => value)),
+      },
+    },
+  }
 })